@@ -3,6 +3,233 @@ let cards = [];
 let isCodeView = false;
 let cardIdCounter = 0;
 let currentViewport = "desktop";
+let viewportOptions = { customWidth: null, rotated: false, zoom: "fit" };
+
+// Export template settings of the active project
+const DEFAULT_EXPORT_SETTINGS = {
+  lang: "de",
+  languages: "",
+  columnsDesktop: 4,
+  columnsTablet: 2,
+  columnsMobile: 1,
+  gap: 2,
+  fontFamily: "Arial, sans-serif",
+  fontSize: 14,
+  borderColor: "#919191",
+  headerBackground: "#f9f9f9",
+  headerTextColor: "#000000",
+  cardBackground: "#ffffff",
+  highlightColor: "#007bff",
+  breakpointTablet: 768,
+  breakpointMobile: 480,
+  exportMode: "document",
+  classPrefix: "",
+  pageSize: "A4",
+  pageOrientation: "portrait",
+  pageMargin: 15,
+  numberFormat: "keep",
+  unitConversion: "none",
+  unitSystem: "imperial",
+};
+
+// Paper options for printing and PDF export
+const PAGE_SIZES = {
+  A3: "A3",
+  A4: "A4",
+  A5: "A5",
+  letter: "US Letter",
+  legal: "US Legal",
+};
+const PAGE_ORIENTATIONS = {
+  portrait: "Portrait",
+  landscape: "Landscape",
+};
+
+// Export modes: full document, fragment with scoped styles, inline-styled markup
+const EXPORT_MODES = {
+  document: "Full HTML document",
+  fragment: "Fragment with scoped <style>",
+  inline: "Fragment with inline styles",
+};
+
+// Class names used by the exported markup
+const CARD_CLASSES = [
+  "spec-section",
+  "spec-section-heading",
+  "specs-container",
+  "spec-card",
+  "spec-header",
+  "spec-content",
+  "mobile-br",
+  "mobile-hyphen",
+  "spec-card--highlight",
+  "spec-card--align-left",
+  "spec-card--align-right",
+  "spec-card--span-2",
+  "spec-card--span-3",
+  "spec-card--span-4",
+  "spec-media",
+  "spec-media--top",
+  "spec-image",
+  "spec-image--header",
+  "spec-pairs",
+  "spec-pairs--stacked",
+  "spec-pair-label",
+  "spec-pair-value",
+  "spec-pair-unit",
+];
+
+// Per-card style options
+const CARD_ALIGNMENTS = ["center", "left", "right"];
+const MAX_CARD_SPAN = 4;
+
+// Card image options - uploads are embedded as data URIs, so keep them small
+const IMAGE_POSITIONS = {
+  top: "Above the header",
+  header: "In the header, before the title",
+  content: "Above the rows",
+  bottom: "Below the rows",
+};
+const MAX_IMAGE_UPLOAD_BYTES = 512 * 1024;
+const MAX_IMAGE_WIDTH = 1200;
+
+// Row modes: free text lines, or label/value pairs ({ label, value, unit }).
+// In pair mode `rows` mirrors the pairs as "Label: value unit" lines so that
+// text-based features (CSV, Markdown, search) keep working.
+const ROW_MODES = {
+  text: "Text lines",
+  pairs: "Label / value pairs",
+};
+const PAIR_LAYOUTS = {
+  columns: "Aligned columns",
+  stacked: "Label above value",
+};
+
+// Measurements in row values - numbers followed by a known unit - can be
+// formatted for the export language and converted between unit systems
+const NUMBER_FORMATS = {
+  keep: "As written",
+  locale: "Per export language",
+};
+const UNIT_CONVERSION_MODES = {
+  none: "None",
+  append: "Append converted value",
+  swap: "Replace with converted value",
+};
+const UNIT_SYSTEMS = {
+  imperial: "Imperial (US)",
+  metric: "Metric",
+};
+
+// Recognized units. Units of one system convert to the other as
+// value * factor + offset; units without a system are only formatted.
+const UNITS = {
+  mm: { system: "metric", to: "in", factor: 1 / 25.4 },
+  cm: { system: "metric", to: "in", factor: 1 / 2.54 },
+  m: { system: "metric", to: "ft", factor: 1 / 0.3048 },
+  km: { system: "metric", to: "mi", factor: 1 / 1.609344 },
+  "cm²": { system: "metric", to: "in²", factor: 1 / 6.4516 },
+  "m²": { system: "metric", to: "ft²", factor: 1 / 0.09290304 },
+  "m³": { system: "metric", to: "ft³", factor: 1 / 0.028316846592 },
+  g: { system: "metric", to: "oz", factor: 1 / 28.349523125 },
+  kg: { system: "metric", to: "lb", factor: 1 / 0.45359237 },
+  ml: { system: "metric", to: "fl oz", factor: 1 / 29.5735295625 },
+  l: { system: "metric", to: "gal", factor: 1 / 3.785411784 },
+  L: { system: "metric", to: "gal", factor: 1 / 3.785411784 },
+  "km/h": { system: "metric", to: "mph", factor: 1 / 1.609344 },
+  "°C": { system: "metric", to: "°F", factor: 9 / 5, offset: 32 },
+  in: { system: "imperial", to: "cm", factor: 2.54 },
+  ft: { system: "imperial", to: "m", factor: 0.3048 },
+  mi: { system: "imperial", to: "km", factor: 1.609344 },
+  "in²": { system: "imperial", to: "cm²", factor: 6.4516 },
+  "ft²": { system: "imperial", to: "m²", factor: 0.09290304 },
+  "ft³": { system: "imperial", to: "m³", factor: 0.028316846592 },
+  oz: { system: "imperial", to: "g", factor: 28.349523125 },
+  lb: { system: "imperial", to: "kg", factor: 0.45359237 },
+  lbs: { system: "imperial", to: "kg", factor: 0.45359237 },
+  "fl oz": { system: "imperial", to: "ml", factor: 29.5735295625 },
+  gal: { system: "imperial", to: "l", factor: 3.785411784 },
+  mph: { system: "imperial", to: "km/h", factor: 1.609344 },
+  "°F": { system: "imperial", to: "°C", factor: 5 / 9, offset: -160 / 9 },
+  W: {},
+  kW: {},
+  kWh: {},
+  V: {},
+  A: {},
+  mA: {},
+  mAh: {},
+  Hz: {},
+  dB: {},
+  "%": {},
+};
+
+// Imperial measurements written in two units ("5 ft 10 in") are combined into
+// the smaller unit before they are converted
+const COMPOUND_UNITS = {
+  ft: { unit: "in", factor: 12 },
+  lb: { unit: "oz", factor: 16 },
+  lbs: { unit: "oz", factor: 16 },
+};
+
+// A number with "." or "," separators, and a run of them for dimensions and ranges
+const NUMBER_PATTERN = "\\d+(?:[.,]\\d+)*";
+const NUMBER_GROUP_PATTERN = `[-−]?${NUMBER_PATTERN}(?:\\s*[x×–-]\\s*${NUMBER_PATTERN})*`;
+
+// Translations: the export language (settings.lang) is the primary language and
+// lives in the card's own fields. Every other project language keeps its text in
+// card.translations[language] = { title, rows, pairs: [{ label, value }] } and
+// section.translations[language] = { heading }; missing fields fall back to the
+// primary language.
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+let currentLanguage = null;
+let exportSettings = Object.assign({}, DEFAULT_EXPORT_SETTINGS);
+
+// Fields shown in the export settings panel
+const EXPORT_SETTING_FIELDS = [
+  { key: "exportMode", label: "Export mode", type: "select", options: EXPORT_MODES },
+  { key: "classPrefix", label: "Class prefix (fragment mode)", type: "text" },
+  { key: "lang", label: "Language (lang attribute)", type: "text" },
+  { key: "languages", label: "Translations (e.g. en, fr)", type: "text" },
+  { key: "columnsDesktop", label: "Columns (desktop)", type: "number", min: 1, max: 12 },
+  { key: "columnsTablet", label: "Columns (tablet)", type: "number", min: 1, max: 12 },
+  { key: "columnsMobile", label: "Columns (mobile)", type: "number", min: 1, max: 12 },
+  { key: "gap", label: "Gap (px)", type: "number", min: 0, max: 100 },
+  { key: "fontFamily", label: "Font family", type: "text" },
+  { key: "fontSize", label: "Font size (px)", type: "number", min: 8, max: 40 },
+  { key: "borderColor", label: "Border color", type: "color" },
+  { key: "headerBackground", label: "Header background", type: "color" },
+  { key: "headerTextColor", label: "Header text color", type: "color" },
+  { key: "cardBackground", label: "Card background", type: "color" },
+  { key: "highlightColor", label: "Highlight border color", type: "color" },
+  { key: "breakpointTablet", label: "Tablet breakpoint (px)", type: "number", min: 200, max: 4000 },
+  { key: "breakpointMobile", label: "Mobile breakpoint (px)", type: "number", min: 200, max: 4000 },
+  { key: "pageSize", label: "Page size", type: "select", options: PAGE_SIZES, group: "print" },
+  { key: "pageOrientation", label: "Orientation", type: "select", options: PAGE_ORIENTATIONS, group: "print" },
+  { key: "pageMargin", label: "Page margin (mm)", type: "number", min: 0, max: 50, group: "print" },
+  { key: "numberFormat", label: "Number format", type: "select", options: NUMBER_FORMATS },
+  { key: "unitConversion", label: "Unit conversion", type: "select", options: UNIT_CONVERSION_MODES },
+  { key: "unitSystem", label: "Convert to", type: "select", options: UNIT_SYSTEMS },
+];
+
+// Undo/redo history - each entry is a command holding the state before and after it ran
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let commandDepth = 0;
+
+// Embedded images are kept once; history snapshots refer to them by number
+const HISTORY_IMAGE_PREFIX = "history-image:";
+const historyImages = [];
+const historyImageIds = new Map();
+
+// Autosave - debounced snapshot of the working state, kept apart from explicit saves
+const AUTOSAVE_KEY_PREFIX = "specAutosave:";
+const AUTOSAVE_DELAY = 1000;
+let autosaveTimer = null;
+let savedSnapshot = null;
+
+// Cards selected for bulk actions (editor state, not part of the history)
+let selectedCardIds = new Set();
 
 // Performance optimization: Cache DOM references and drag state
 let dragState = {
@@ -101,7 +328,7 @@ function smoothUpdateDragEffects(targetElement, clientY, timestamp) {
 function updateButtonVisibility() {
   const loadBtn = document.querySelector('button[onclick="loadData()"]');
   const clearBtn = document.querySelector('button[onclick="clearAll()"]');
-  const hasStoredData = localStorage.getItem('specCards') !== null;
+  const hasStoredData = Boolean(getActiveProject().savedAt);
   
   if (loadBtn) {
     loadBtn.style.display = hasStoredData ? 'inline-block' : 'none';
@@ -111,874 +338,6182 @@ function updateButtonVisibility() {
   }
 }
 
-// Initialize app
-function init() {
-  loadData();
-  if (cards.length === 0) {
-    // Add a default card if none exist
-    addCard();
+// Capture the undoable part of the app state; embedImages keeps data URIs inline
+function snapshotState(embedImages) {
+  return JSON.stringify(
+    {
+      cards: cards,
+      cardIdCounter: cardIdCounter,
+      exportSettings: exportSettings,
+    },
+    embedImages ? null : internHistoryImage
+  );
+}
+
+// Replace an embedded image src with a reference to a single stored copy
+function internHistoryImage(key, value) {
+  if (key !== "src" || typeof value !== "string" || !value.startsWith("data:")) {
+    return value;
   }
+
+  let id = historyImageIds.get(value);
+  if (id === undefined) {
+    id = historyImages.push(value) - 1;
+    historyImageIds.set(value, id);
+  }
+  return HISTORY_IMAGE_PREFIX + id;
+}
+
+// Turn an image reference from a history snapshot back into its data URI
+function resolveHistoryImage(key, value) {
+  if (key !== "src" || typeof value !== "string" || !value.startsWith(HISTORY_IMAGE_PREFIX)) {
+    return value;
+  }
+  return historyImages[Number(value.slice(HISTORY_IMAGE_PREFIX.length))] || "";
+}
+
+// Restore a state captured by snapshotState
+function restoreState(snapshot) {
+  const state = JSON.parse(snapshot, resolveHistoryImage);
+  cards = state.cards;
+  cardIdCounter = state.cardIdCounter;
+  exportSettings = Object.assign({}, DEFAULT_EXPORT_SETTINGS, state.exportSettings);
   renderEditor();
   updatePreview();
-  updateButtonVisibility();
+  onStateChanged();
+}
+
+// Run a mutation of the cards as an undoable command
+function executeCommand(label, mutate) {
+  // Commands run by another command are part of its history entry
+  if (commandDepth > 0) {
+    mutate();
+    return;
+  }
+
+  const before = snapshotState();
+  commandDepth++;
+  try {
+    mutate();
+  } finally {
+    commandDepth--;
+  }
+  const after = snapshotState();
+
+  // Nothing changed, nothing to undo
+  if (before === after) return;
+
+  undoStack.push({ label: label, before: before, after: after });
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  updateHistoryButtons();
+  onStateChanged();
+}
+
+// Undo the last command
+function undo() {
+  const command = undoStack.pop();
+  if (!command) return;
+
+  redoStack.push(command);
+  restoreState(command.before);
+  updateHistoryButtons();
+  showToast("Undo: " + command.label, "info");
+}
+
+// Redo the last undone command
+function redo() {
+  const command = redoStack.pop();
+  if (!command) return;
+
+  undoStack.push(command);
+  restoreState(command.after);
+  updateHistoryButtons();
+  showToast("Redo: " + command.label, "info");
+}
+
+// Forget all history, e.g. after the initial load
+function resetHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+// Enable/disable the undo and redo toolbar buttons
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+
+  if (undoBtn) {
+    undoBtn.disabled = !lastUndo;
+    undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !lastRedo;
+    redoBtn.title = lastRedo
+      ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)`
+      : "Redo (Ctrl+Shift+Z)";
+  }
+}
+
+// Remember the current state as the last explicitly saved one
+function markClean() {
+  savedSnapshot = snapshotState();
+}
+
+// Check whether there are changes since the last explicit save
+function isDirty() {
+  return savedSnapshot !== snapshotState();
+}
+
+// Show or hide the "unsaved changes" indicator
+function updateDirtyIndicator(autosavedAt) {
+  const indicator = document.getElementById("dirtyIndicator");
+  if (!indicator) return;
+
+  indicator.style.display = isDirty() ? "inline" : "none";
+  if (autosavedAt) {
+    indicator.title =
+      "Autosaved at " + new Date(autosavedAt).toLocaleTimeString();
+  }
+}
+
+// React to any change of the working state
+function onStateChanged() {
+  updateDirtyIndicator();
+  scheduleAutosave();
 }
 
-// Add new card
-function addCard() {
-  console.log("addCard function called");
-  const newCard = {
+// Autosave a short while after the last edit
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+}
+
+// Write the working state to the active project's autosave slot
+function autosave() {
+  clearTimeout(autosaveTimer);
+  const projectId = projectStore.activeProjectId;
+
+  if (!isDirty()) {
+    clearAutosave(projectId);
+    return;
+  }
+
+  try {
+    const savedAt = Date.now();
+    localStorage.setItem(
+      AUTOSAVE_KEY_PREFIX + projectId,
+      JSON.stringify({ savedAt: savedAt, state: snapshotState(true) })
+    );
+    updateDirtyIndicator(savedAt);
+  } catch (e) {
+    console.error("Error autosaving:", e);
+  }
+}
+
+// Drop the autosave snapshot of a project
+function clearAutosave(projectId) {
+  clearTimeout(autosaveTimer);
+  localStorage.removeItem(AUTOSAVE_KEY_PREFIX + projectId);
+}
+
+// Read the autosave snapshot of a project, if any
+function readAutosave(projectId) {
+  try {
+    const saved = localStorage.getItem(AUTOSAVE_KEY_PREFIX + projectId);
+    return saved ? JSON.parse(saved) : null;
+  } catch (e) {
+    console.error("Error reading autosave:", e);
+    return null;
+  }
+}
+
+// Offer to restore an autosave that is newer than the last explicit save
+function offerAutosaveRecovery(project) {
+  const snapshot = readAutosave(project.id);
+  if (!snapshot) return;
+
+  if (
+    snapshot.savedAt > (project.savedAt || 0) &&
+    snapshot.state !== snapshotState(true) &&
+    confirm(
+      `"${project.name}" has unsaved changes from ${new Date(
+        snapshot.savedAt
+      ).toLocaleString()} that are newer than the last save. Restore them?`
+    )
+  ) {
+    const state = JSON.parse(snapshot.state);
+    cards = state.cards;
+    cardIdCounter = state.cardIdCounter;
+    exportSettings = Object.assign({}, DEFAULT_EXPORT_SETTINGS, state.exportSettings);
+    return;
+  }
+
+  clearAutosave(project.id);
+}
+
+// Initialize app
+function init() {
+  loadLayout();
+  loadProjectStore();
+  activateProject(projectStore.activeProjectId);
+}
+
+// Create a card with placeholder content
+function createDefaultCard() {
+  return {
     id: ++cardIdCounter,
     title: "New Card Title",
     rows: "Row 1\nRow 2",
   };
-  cards.push(newCard);
-  console.log("Cards array:", cards);
+}
+
+// Sections group cards under a heading. The top level of `cards` holds both
+// ungrouped cards and sections ({ type: "section", id, heading, cards }).
+function isSection(item) {
+  return item.type === "section";
+}
+
+// Get every card, including those inside sections, in display order
+function getAllCards() {
+  return cards.reduce(
+    (all, item) => all.concat(isSection(item) ? item.cards : [item]),
+    []
+  );
+}
+
+// Find where a card or section lives: the list holding it, its index there and
+// the section it belongs to (null at the top level)
+function findItemLocation(itemId) {
+  for (let i = 0; i < cards.length; i++) {
+    if (cards[i].id === itemId) {
+      return { list: cards, index: i, item: cards[i], section: null };
+    }
+    if (isSection(cards[i])) {
+      const index = cards[i].cards.findIndex((card) => card.id === itemId);
+      if (index !== -1) {
+        return {
+          list: cards[i].cards,
+          index: index,
+          item: cards[i].cards[index],
+          section: cards[i],
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// Find a card by id, wherever it lives
+function findCard(cardId) {
+  const location = findItemLocation(cardId);
+  return location && !isSection(location.item) ? location.item : undefined;
+}
+
+// Find a section by id
+function findSection(sectionId) {
+  return cards.find((item) => item.id === sectionId && isSection(item));
+}
+
+// Add new card, optionally to a section
+function addCard(sectionId) {
+  const section = sectionId ? findSection(sectionId) : null;
+  executeCommand("add card", () => {
+    (section ? section.cards : cards).push(createDefaultCard());
+  });
   renderEditor();
   updatePreview();
 }
 
 // Delete card
 function deleteCard(cardId) {
-  cards = cards.filter((card) => card.id !== cardId);
+  const location = findItemLocation(cardId);
+  if (!location) return;
+
+  executeCommand("delete card", () => {
+    location.list.splice(location.index, 1);
+  });
   renderEditor();
   updatePreview();
 }
 
 // Update card title
 function updateCardTitle(cardId, newTitle) {
-  const card = cards.find((c) => c.id === cardId);
+  const card = findCard(cardId);
   if (card) {
-    card.title = newTitle;
+    if (isTranslating()) {
+      executeCommand("edit translation", () => {
+        setTranslationField(card, getActiveLanguage(), "title", newTitle);
+      });
+    } else {
+      executeCommand("edit title", () => {
+        card.title = newTitle;
+      });
+    }
     updatePreview();
   }
 }
 
 // Update row content
 function updateRows(cardId, newContent) {
-  const card = cards.find((c) => c.id === cardId);
+  const card = findCard(cardId);
   if (card) {
-    card.rows = newContent;
+    if (isTranslating()) {
+      executeCommand("edit translation", () => {
+        setTranslationField(card, getActiveLanguage(), "rows", newContent);
+      });
+    } else {
+      executeCommand("edit rows", () => {
+        card.rows = newContent;
+      });
+    }
     updatePreview();
   }
 }
 
-// Reorder cards based on drag and drop
-function reorderCards(draggedCardId, targetCardId, clientY, targetElement) {
-  const draggedIndex = cards.findIndex(card => card.id === draggedCardId);
-  const targetIndex = cards.findIndex(card => card.id === targetCardId);
-  
-  if (draggedIndex === -1 || targetIndex === -1) return;
-  
-  // Determine if we should insert before or after the target
-  const rect = targetElement.getBoundingClientRect();
-  const midpoint = rect.top + rect.height / 2;
-  const insertBefore = clientY < midpoint;
-  
-  // Remove the dragged card from its current position
-  const draggedCard = cards.splice(draggedIndex, 1)[0];
-  
-  // Calculate new insertion index
-  let newIndex;
-  if (insertBefore) {
-    newIndex = targetIndex > draggedIndex ? targetIndex - 1 : targetIndex;
-  } else {
-    newIndex = targetIndex > draggedIndex ? targetIndex : targetIndex + 1;
-  }
-  
-  // Insert the card at the new position
-  cards.splice(newIndex, 0, draggedCard);
-  
-  // Re-render editor and update preview
-  renderEditor();
-  updatePreview();
+// Format pairs as "Label: value unit" lines
+function formatPairsAsRows(pairs) {
+  return pairs
+    .map((pair) => {
+      const value = [pair.value, pair.unit].filter((part) => part).join(" ");
+      return pair.label ? `${pair.label}: ${value}` : value;
+    })
+    .join("\n");
 }
 
-// Escape HTML function
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+// Split text lines into pairs at the first colon, taking a short unit off numbers
+function parseRowsAsPairs(rows) {
+  return getFieldLines(rows)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const colon = line.indexOf(":");
+      const label = colon === -1 ? "" : line.slice(0, colon).trim();
+      let value = (colon === -1 ? line : line.slice(colon + 1)).trim();
+      let unit = "";
+
+      const measurement = value.match(/^([-+]?[\d.,]+(?:\s*[x×]\s*[\d.,]+)*)\s*([^\d\s.,]\S{0,9})$/);
+      if (measurement) {
+        value = measurement[1];
+        unit = measurement[2];
+      }
+      return { label: label, value: value, unit: unit };
+    });
 }
 
-// Render editor panel
-function renderEditor() {
-  const editorContainer = document.getElementById("cardsEditor");
-  editorContainer.innerHTML = "";
-
-  cards.forEach((card) => {
-    const cardEditor = document.createElement("div");
-    cardEditor.className = "card-editor";
-    cardEditor.dataset.cardId = card.id;
-    cardEditor.innerHTML = `
-            <div class="card-editor-header">
-                <div class="card-editor-header-content">
-                    <span class="drag-handle" draggable="true">⋮⋮</span>
-                    <span>Card ${card.id}</span>
-                </div>
-                <button class="btn btn-danger btn-sm" onclick="deleteCard(${
-                  card.id
-                })">×</button>
-            </div>
-            <div class="card-content">
-                <div class="form-group">
-                    <label>Card Title:</label>
-                    <textarea class="form-control" id="title-${
-                      card.id
-                    }" onchange="updateCardTitle(${card.id}, this.value)"
-                              placeholder="Enter title (one line per row)" rows="2">${escapeHtml(
-                                typeof card.title === "string"
-                                  ? card.title
-                                  : card.title.join("\n")
-                              )}</textarea>
-                </div>
-                <div class="form-group">
-                    <label>Content Rows:</label>
-                    <textarea class="form-control" id="rows-${
-                      card.id
-                    }" onchange="updateRows(${card.id}, this.value)"
-                              placeholder="Enter content (one line per row)" rows="4">${escapeHtml(
-                                typeof card.rows === "string"
-                                  ? card.rows
-                                  : card.rows.join("\n")
-                              )}</textarea>
-                </div>
-            </div>
-        `;
-    
-    // Add drag and drop event listeners
-    const dragHandle = cardEditor.querySelector('.drag-handle');
-    
-    dragHandle.addEventListener('dragstart', function(e) {
-      // Performance: Set drag state and track timing
-      dragState.isDragging = true;
-      dragState.draggedElement = cardEditor;
-      dragState.dragStartTime = performance.now();
-      dragState.lastMouseY = e.clientY;
-      dragState.velocity = 0;
-
-      // Smooth drag start animation
-      requestAnimationFrame(() => {
-        cardEditor.classList.add('dragging');
-        cardEditor.style.transform = 'scale(1.02) rotate(1deg)';
-      });
-
-      e.dataTransfer.setData('text/plain', card.id);
-      e.dataTransfer.effectAllowed = 'move';
-
-      // Create enhanced drag image with better styling
-      const dragImage = cardEditor.cloneNode(true);
-      dragImage.style.cssText = `
-        position: absolute;
-        top: -1000px;
-        left: -1000px;
-        width: ${cardEditor.offsetWidth}px;
-        transform: scale(0.95) rotate(3deg);
-        opacity: 0.9;
-        box-shadow: 0 15px 35px rgba(0, 123, 255, 0.4);
-        border: 2px solid #007bff;
-        border-radius: 8px;
-        z-index: 10000;
-        pointer-events: none;
-      `;
-      document.body.appendChild(dragImage);
-
-      e.dataTransfer.setDragImage(dragImage,
-        dragImage.offsetWidth / 2,
-        dragImage.offsetHeight / 2
-      );
-
-      // Clean up drag image
-      setTimeout(() => {
-        if (dragImage.parentNode) {
-          dragImage.parentNode.removeChild(dragImage);
-        }
-      }, 0);
+// Switch a card between text rows and label/value pairs, converting the content
+function setRowMode(cardId, mode) {
+  const card = findCard(cardId);
+  if (!card || !ROW_MODES[mode]) return;
+
+  executeCommand("change row mode", () => {
+    // Translations follow, taking the units from the primary language
+    Object.keys(card.translations || {}).forEach((language) => {
+      const translation = card.translations[language];
+      if (mode === "pairs" && translation.rows) {
+        translation.pairs = parseRowsAsPairs(translation.rows).map((pair) => ({
+          label: pair.label,
+          value: pair.value,
+        }));
+        delete translation.rows;
+      } else if (mode !== "pairs" && translation.pairs) {
+        translation.rows = localizeCard(card, language).rows;
+        delete translation.pairs;
+      }
     });
-    
-    cardEditor.addEventListener('dragend', function(e) {
-      // Smooth drag end with spring animation
-      const finalTransform = () => {
-        cardEditor.style.transform = '';
-        cardEditor.classList.remove('dragging');
-      };
-
-      // Apply momentum-based settling animation
-      if (Math.abs(dragState.velocity) > 0.1) {
-        cardEditor.style.transition = 'transform 0.4s cubic-bezier(0.34, 1.56, 0.64, 1)';
-        cardEditor.style.transform = `translateY(${dragState.velocity * 2}px)`;
 
-        setTimeout(() => {
-          cardEditor.style.transform = '';
-          setTimeout(finalTransform, 200);
-        }, 100);
-      } else {
-        cardEditor.style.transition = 'transform 0.3s ease-out';
-        setTimeout(finalTransform, 50);
+    if (mode === "pairs") {
+      card.rowMode = "pairs";
+      card.pairs = parseRowsAsPairs(card.rows);
+      if (card.pairs.length === 0) {
+        card.pairs.push({ label: "", value: "", unit: "" });
       }
+    } else {
+      delete card.rowMode;
+      delete card.pairs;
+      delete card.pairLayout;
+    }
+  });
+  renderEditor();
+  updatePreview();
+}
 
-      // Reset drag state
-      dragState.isDragging = false;
-      dragState.draggedElement = null;
-      dragState.lastTargetElement = null;
-      dragState.velocity = 0;
+// Change the pairs of a card and mirror them into its rows
+function changePairs(cardId, label, mutate) {
+  const card = findCard(cardId);
+  if (!card || card.rowMode !== "pairs") return;
+
+  executeCommand(label, () => {
+    mutate(card.pairs, card);
+    card.rows = formatPairsAsRows(card.pairs);
+  });
+}
 
-      clearAllDragEffects();
+// Update a field of a label/value pair. Translations hold labels and values
+// only; the units are shared by all languages.
+function updatePair(cardId, index, key, value) {
+  if (isTranslating() && key !== "unit") {
+    changePairs(cardId, "edit translation", (pairs, card) => {
+      if (pairs[index]) {
+        setTranslatedPair(card, getActiveLanguage(), index, key, value.trim());
+      }
     });
-    
-    cardEditor.addEventListener('dragover', function(e) {
-      e.preventDefault();
-      e.dataTransfer.dropEffect = 'move';
+  } else {
+    changePairs(cardId, "edit row", (pairs) => {
+      if (pairs[index]) {
+        pairs[index][key] = value.trim();
+      }
     });
-    
-    // Enhanced dragenter with smooth animations
-    const smoothDragEnter = function(e) {
-      e.preventDefault();
+  }
+  updatePreview();
+}
 
-      if (!dragState.isDragging || dragState.draggedElement === cardEditor) {
-        return;
-      }
+// Add an empty label/value pair
+function addPair(cardId) {
+  changePairs(cardId, "add row", (pairs) => {
+    pairs.push({ label: "", value: "", unit: "" });
+  });
+  renderEditor();
+  updatePreview();
 
-      // Use requestAnimationFrame for smooth updates
-      if (dragState.animationId) {
-        cancelAnimationFrame(dragState.animationId);
-      }
+  const labels = document.querySelectorAll(`#pairs-${cardId} .pair-label`);
+  if (labels.length > 0) {
+    labels[labels.length - 1].focus();
+  }
+}
 
-      dragState.animationId = requestAnimationFrame((timestamp) => {
-        // Clear previous target effects with smooth transition
-        if (dragState.lastTargetElement && dragState.lastTargetElement !== cardEditor) {
-          dragState.lastTargetElement.style.transition = 'all 0.2s ease-out';
-          dragState.lastTargetElement.classList.remove('drag-over');
-        }
+// Remove a label/value pair
+function removePair(cardId, index) {
+  changePairs(cardId, "remove row", (pairs, card) => {
+    pairs.splice(index, 1);
+    Object.keys(card.translations || {}).forEach((language) => {
+      const translatedPairs = card.translations[language].pairs;
+      if (translatedPairs) {
+        translatedPairs.splice(index, 1);
+      }
+    });
+  });
+  renderEditor();
+  updatePreview();
+}
 
-        // Set new target with smooth entrance
-        dragState.lastTargetElement = cardEditor;
-        cardEditor.style.transition = 'all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
-        cardEditor.classList.add('drag-over');
+// Choose how the pairs of a card are laid out
+function setPairLayout(cardId, layout) {
+  const card = findCard(cardId);
+  if (!card) return;
 
-        // Add subtle bounce effect
-        cardEditor.style.transform = 'scale(1.01) translateY(-1px)';
-        setTimeout(() => {
-          cardEditor.style.transform = 'scale(1.01)';
-        }, 150);
+  executeCommand("change row layout", () => {
+    if (layout === "stacked") {
+      card.pairLayout = "stacked";
+    } else {
+      delete card.pairLayout;
+    }
+  });
+  updatePreview();
+}
 
-        // Smooth update with momentum tracking
-        smoothUpdateDragEffects(cardEditor, e.clientY, timestamp);
-      });
-    };
+// Get the primary language, which the cards' own fields are written in
+function getPrimaryLanguage() {
+  return getExportSettings().lang;
+}
 
-    // Throttle the smooth drag enter
-    const throttledSmoothDragEnter = throttle(smoothDragEnter, 8); // ~120fps for ultra-smooth
-    cardEditor.addEventListener('dragenter', throttledSmoothDragEnter);
-    
-    cardEditor.addEventListener('dragleave', function(e) {
-      // Performance: Simplified boundary check
-      const rect = cardEditor.getBoundingClientRect();
-      if (e.clientX < rect.left || e.clientX > rect.right ||
-          e.clientY < rect.top || e.clientY > rect.bottom) {
-        if (dragState.lastTargetElement === cardEditor) {
-          cardEditor.classList.remove('drag-over');
-          hideDragIndicator();
-        }
+// Get the languages of the project, primary language first
+function getProjectLanguages() {
+  const languages = [getPrimaryLanguage()];
+  getExportSettings()
+    .languages.split(",")
+    .map((language) => language.trim())
+    .forEach((language) => {
+      if (language && !languages.includes(language)) {
+        languages.push(language);
       }
     });
-    
-    cardEditor.addEventListener('drop', function(e) {
-      e.preventDefault();
-
-      if (!dragState.isDragging) return;
+  return languages;
+}
 
-      const draggedCardId = parseInt(e.dataTransfer.getData('text/plain'));
-      const targetCardId = parseInt(cardEditor.dataset.cardId);
+// Get the language shown in the editor and preview
+function getActiveLanguage() {
+  return getProjectLanguages().includes(currentLanguage)
+    ? currentLanguage
+    : getPrimaryLanguage();
+}
 
-      // Add satisfying drop animation
-      const dropAnimation = () => {
-        cardEditor.style.transition = 'all 0.3s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
-        cardEditor.style.transform = 'scale(1.05)';
+// Whether the editor currently edits a translation
+function isTranslating() {
+  return getActiveLanguage() !== getPrimaryLanguage();
+}
 
-        setTimeout(() => {
-          cardEditor.style.transform = '';
-          cardEditor.style.transition = '';
-        }, 300);
-      };
+// Get the translation of a card or section, or an empty object
+function getTranslation(item, language) {
+  return (item.translations && item.translations[language]) || {};
+}
 
-      // Add success haptic feedback
-      const successPulse = () => {
-        cardEditor.style.background = 'linear-gradient(45deg, #f8fff9, #e8f7e8)';
-        cardEditor.style.borderColor = '#28a745';
+// Drop empty fields, translations and pairs so that they count as missing
+function pruneTranslation(item, language) {
+  const translation = getTranslation(item, language);
+  if (translation.pairs && translation.pairs.every((pair) => !pair || (!pair.label && !pair.value))) {
+    delete translation.pairs;
+  }
+  if (item.translations && Object.keys(translation).length === 0) {
+    delete item.translations[language];
+  }
+  if (item.translations && Object.keys(item.translations).length === 0) {
+    delete item.translations;
+  }
+}
 
-        setTimeout(() => {
-          cardEditor.style.background = '';
-          cardEditor.style.borderColor = '';
-        }, 500);
-      };
+// Set a text field (title, rows or heading) of a translation
+function setTranslationField(item, language, key, value) {
+  item.translations = item.translations || {};
+  const translation = (item.translations[language] = item.translations[language] || {});
+  if (value.trim()) {
+    translation[key] = value;
+  } else {
+    delete translation[key];
+  }
+  pruneTranslation(item, language);
+}
 
-      // Perform reordering with smooth feedback
-      if (draggedCardId !== targetCardId) {
-        dropAnimation();
-        successPulse();
+// Set the label or value of a translated pair
+function setTranslatedPair(card, language, index, key, value) {
+  card.translations = card.translations || {};
+  const translation = (card.translations[language] = card.translations[language] || {});
+  const pairs = (translation.pairs = translation.pairs || []);
+  while (pairs.length <= index) {
+    pairs.push({ label: "", value: "" });
+  }
+  pairs[index] = pairs[index] || { label: "", value: "" };
+  pairs[index][key] = value;
+  pruneTranslation(card, language);
+}
 
-        // Slight delay for visual feedback before reordering
-        setTimeout(() => {
-          reorderCards(draggedCardId, targetCardId, e.clientY, cardEditor);
-        }, 100);
-      }
+// Get a card as it reads in a language, falling back to the primary language
+function localizeCard(card, language) {
+  if (!language || language === getPrimaryLanguage()) return card;
 
-      // Clean up all drag effects efficiently
-      clearAllDragEffects();
-    });
-    
-    editorContainer.appendChild(cardEditor);
+  const translation = getTranslation(card, language);
+  const localized = Object.assign({}, card, {
+    title: translation.title || card.title,
+    rows: translation.rows || card.rows,
   });
+  if (card.rowMode === "pairs") {
+    const translatedPairs = translation.pairs || [];
+    localized.pairs = card.pairs.map((pair, index) => {
+      const translated = translatedPairs[index] || {};
+      return {
+        label: translated.label || pair.label,
+        value: translated.value || pair.value,
+        unit: pair.unit,
+      };
+    });
+    localized.rows = formatPairsAsRows(localized.pairs);
+  }
+  return localized;
 }
 
-// Generate HTML code
-function generateHTML() {
-  const cardsHTML = cards
-    .map((card) => {
-      const titleLines = (
-        typeof card.title === "string" ? card.title : card.title.join("\n")
-      )
-        .split("\n")
-        .filter((line) => line.trim());
-      const contentLines = (
-        typeof card.rows === "string" ? card.rows : card.rows.join("\n")
-      )
-        .split("\n")
-        .filter((line) => line.trim());
+// Get the heading of a section in a language
+function localizeHeading(section, language) {
+  if (!language || language === getPrimaryLanguage()) return section.heading;
+  return getTranslation(section, language).heading || section.heading;
+}
 
-      return `
-  <div class="spec-card">
-    <div class="spec-header">${titleLines.join("<br />\n    ")}</div>
-    <div class="spec-content">
-      ${contentLines.join("<br />\n      ")}
-    </div>
-  </div>`;
-    })
-    .join("\n  ");
+// Whether a text needs translating - plain numbers and codes do not
+function needsTranslation(value) {
+  return /\p{L}/u.test(getPlainText(value || ""));
+}
 
-  return `<!DOCTYPE html>
-<html lang="de">
-  <head>
-    <meta charset="UTF-8" />
-    <meta
-      name="viewport"
-      content="width=device-width, initial-scale=1.0, maximum-scale=1.0"
-    />
-    <style>
-      body {
-        font-family: Arial, sans-serif;
-        padding: 0 10px 0 10px;
-      }
+// Get the fields of a card or section that have no translation yet
+function getMissingTranslations(item, language) {
+  if (language === getPrimaryLanguage()) return [];
 
-      .specs-container {
-        display: grid;
-        grid-template-columns: repeat(4, 1fr);
-        gap: 2px;
-        margin-bottom: 50px;
-      }
+  const translation = getTranslation(item, language);
+  if (isSection(item)) {
+    return needsTranslation(item.heading) && !translation.heading ? ["heading"] : [];
+  }
 
-      .spec-card {
-        border: 1px solid rgb(145, 145, 145);
-        background-color: #ffffff;
-        text-align: center;
-        font-size: 14px;
-      }
+  const missing = [];
+  if (needsTranslation(item.title) && !translation.title) {
+    missing.push("title");
+  }
+  if (item.rowMode === "pairs") {
+    const translatedPairs = translation.pairs || [];
+    const hasMissingPair = item.pairs.some((pair, index) => {
+      const translated = translatedPairs[index] || {};
+      return (
+        (needsTranslation(pair.label) && !translated.label) ||
+        (needsTranslation(pair.value) && !translated.value)
+      );
+    });
+    if (hasMissingPair) {
+      missing.push("rows");
+    }
+  } else if (needsTranslation(item.rows) && !translation.rows) {
+    missing.push("rows");
+  }
+  return missing;
+}
 
-      .spec-header {
-        background-color: #f9f9f9;
-        padding: 15px;
-        font-weight: bold;
-        border-bottom: 1px solid rgb(145, 145, 145);
-        min-height: 28px;
-      }
-
-      .spec-content {
-        padding: 15px;
-        word-break: break-word;
-        white-space: normal;
-      }
+// Whether any card or section has a translation into a language
+function hasTranslations(language) {
+  return getAllCards()
+    .concat(cards.filter(isSection))
+    .some((item) => item.translations && item.translations[language]);
+}
 
+// Make a translated language the primary one: its translations move into the
+// card fields and the previous primary text becomes a translation. Fields
+// without a translation keep their text and show as missing in the previous
+// language. Runs before the primary language setting changes.
+function swapPrimaryLanguage(previousLanguage, language) {
+  const swap = (item, keys) => {
+    const translation = getTranslation(item, language);
+    const previous = {};
+    keys.forEach((key) => {
+      if (!translation[key]) return;
+      previous[key] = item[key];
+      item[key] = translation[key];
+    });
+    return previous;
+  };
 
-      .mobile-br,
-      .mobile-hyphen {
-        display: none;
-      }
+  cards.filter(isSection).forEach((section) => {
+    section.translations = section.translations || {};
+    const previous = swap(section, ["heading"]);
+    section.translations[previousLanguage] = previous;
+    delete section.translations[language];
+    pruneTranslation(section, previousLanguage);
+  });
 
-      @media (max-width: 768px) {
-        .specs-container {
-          grid-template-columns: repeat(2, 1fr);
-        }
-        .spec-card {
-          font-size: 13px;
-        }
-        .spec-header,
-        .spec-content {
-          padding: 10px;
-        }
-        .mobile-br {
-          display: inline;
-        }
-        .mobile-hyphen::after {
-          content: "-";
-        }
-        .mobile-hyphen {
-          display: inline;
-        }
-      }
+  getAllCards().forEach((card) => {
+    card.translations = card.translations || {};
+    const translatedPairs = getTranslation(card, language).pairs || [];
+    const previous = swap(card, card.rowMode === "pairs" ? ["title"] : ["title", "rows"]);
+    if (card.rowMode === "pairs") {
+      previous.pairs = card.pairs.map((pair, index) => {
+        const translated = translatedPairs[index] || {};
+        const previousPair = { label: "", value: "" };
+        ["label", "value"].forEach((key) => {
+          if (!translated[key]) return;
+          previousPair[key] = pair[key];
+          pair[key] = translated[key];
+        });
+        return previousPair;
+      });
+      card.rows = formatPairsAsRows(card.pairs);
+    }
+    card.translations[previousLanguage] = previous;
+    delete card.translations[language];
+    pruneTranslation(card, previousLanguage);
+  });
 
-      @media (max-width: 480px) {
-        .specs-container {
-          grid-template-columns: 1fr;
-        }
-        .spec-card {
-          font-size: 12px;
-        }
-        .spec-header,
-        .spec-content {
-          padding: 8px;
-        }
-      }
-    </style>
-  </head>
-  <body>
-    <div class="specs-container">
-      ${cardsHTML}
-    </div>
-  </body>
-</html>`;
+  // The previous primary language stays in the project as a translation
+  const languages = [previousLanguage].concat(
+    getProjectLanguages()
+      .slice(1)
+      .filter((code) => code !== language)
+  );
+  exportSettings = Object.assign({}, getExportSettings(), { languages: languages.join(", ") });
 }
 
-// Update preview
-function updatePreview() {
-  const previewArea = document.getElementById("previewArea");
-  const codeTextarea = document.getElementById("codeTextarea");
-
-  // Generate cards HTML for preview
-  const cardsHTML = cards
-    .map((card) => {
-      const titleLines = (
-        typeof card.title === "string" ? card.title : card.title.join("\n")
-      )
-        .split("\n")
-        .filter((line) => line.trim());
-      const contentLines = (
-        typeof card.rows === "string" ? card.rows : card.rows.join("\n")
-      )
-        .split("\n")
-        .filter((line) => line.trim());
+// Switch the language shown in the editor and preview
+function setLanguage(language) {
+  currentLanguage = language;
+  renderEditor();
+  updatePreview();
+  announce(`Showing ${getActiveLanguage().toUpperCase()} content`);
+}
 
-      return `
-        <div class="spec-card">
-            <div class="spec-header">${titleLines.join("<br />")}</div>
-            <div class="spec-content">
-                ${contentLines.join("<br />")}
-            </div>
-        </div>`;
+// Update the language switchers and the missing translation badges
+function updateTranslationStatus() {
+  const activeLanguage = getActiveLanguage();
+  const languages = getProjectLanguages();
+  const items = getAllCards().concat(cards.filter(isSection));
+
+  const options = languages
+    .map((language) => {
+      const missing = items.filter(
+        (item) => getMissingTranslations(item, language).length > 0
+      ).length;
+      return `<option value="${escapeAttribute(language)}"${
+        language === activeLanguage ? " selected" : ""
+      }>${escapeHtml(language.toUpperCase())}${missing > 0 ? ` (${missing} missing)` : ""}</option>`;
     })
     .join("");
+  document.querySelectorAll(".language-select").forEach((select) => {
+    select.innerHTML = options;
+    select.disabled = languages.length < 2;
+  });
 
-  previewArea.innerHTML = `<div class="specs-container">${cardsHTML}</div>`;
-  codeTextarea.value = generateHTML();
+  items.forEach((item) => {
+    const badge = document.getElementById(`missing-${item.id}`);
+    if (!badge) return;
+    const missing = getMissingTranslations(item, activeLanguage);
+    badge.hidden = missing.length === 0;
+    badge.textContent = `Missing ${activeLanguage.toUpperCase()}`;
+    badge.title = `No ${activeLanguage.toUpperCase()} translation for: ${missing.join(", ")}`;
+  });
 }
 
-// Save data to localStorage
-function saveData() {
-  try {
-    localStorage.setItem("specCards", JSON.stringify(cards));
-    localStorage.setItem("cardIdCounter", cardIdCounter.toString());
-    showToast("Data saved successfully!", "success");
-    updateButtonVisibility();
-  } catch (e) {
-    showToast("Error saving data: " + e.message, "error");
+// Normalize a card style value; returns undefined for the default
+function normalizeCardStyleValue(key, value) {
+  switch (key) {
+    case "headerBackground":
+    case "headerTextColor":
+      return /^#[0-9a-f]{3,8}$/i.test(value) ? value.toLowerCase() : undefined;
+    case "align":
+      return CARD_ALIGNMENTS.includes(value) && value !== "center" ? value : undefined;
+    case "span": {
+      const span = Math.min(MAX_CARD_SPAN, Math.max(1, parseInt(value) || 1));
+      return span > 1 ? span : undefined;
+    }
+    case "highlight":
+      return value ? true : undefined;
+    default:
+      return undefined;
   }
 }
 
-// Load data from localStorage
-function loadData() {
-  try {
-    const savedCards = localStorage.getItem("specCards");
-    const savedCounter = localStorage.getItem("cardIdCounter");
+// Update one style option of a card
+function updateCardStyle(cardId, key, value) {
+  const card = findCard(cardId);
+  if (card) {
+    executeCommand("change card style", () => {
+      const style = Object.assign({}, card.style);
+      const normalized = normalizeCardStyleValue(key, value);
+      if (normalized === undefined) {
+        delete style[key];
+      } else {
+        style[key] = normalized;
+      }
 
-    if (savedCards) {
-      cards = JSON.parse(savedCards);
+      if (Object.keys(style).length > 0) {
+        card.style = style;
+      } else {
+        delete card.style;
+      }
+    });
+    updatePreview();
+  }
+}
 
-      // Convert old array format to new string format
-      cards.forEach((card) => {
-        if (Array.isArray(card.title)) {
-          card.title = card.title.join("\n");
-        }
-        if (Array.isArray(card.rows)) {
-          card.rows = card.rows.join("\n");
-        }
-      });
+// Reset a card to the default style
+function resetCardStyle(cardId) {
+  const card = findCard(cardId);
+  if (card && card.style) {
+    executeCommand("reset card style", () => {
+      delete card.style;
+    });
+    renderEditor();
+    updatePreview();
+  }
+}
+
+// Whether an image source may be used: relative, http(s) or an embedded image
+function isSafeImageUrl(url) {
+  const compact = url.replace(/[\u0000-\u0020\u007F]+/g, "");
+  if (/^data:/i.test(compact)) {
+    return /^data:image\/(png|jpe?g|gif|webp|svg\+xml|avif);/i.test(compact);
+  }
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ["http", "https"].includes(scheme[1].toLowerCase());
+}
+
+// Change a field of the image of a card
+function updateCardImage(cardId, key, value) {
+  const card = findCard(cardId);
+  if (!card) return;
 
+  if (key === "src") {
+    value = String(value).trim();
+    if (value && !isSafeImageUrl(value)) {
+      showToast("Use an http(s) URL, a relative path or an uploaded image", "error");
       renderEditor();
-      updatePreview();
+      return;
+    }
+  } else if (key === "position") {
+    value = IMAGE_POSITIONS[value] ? value : "top";
+  } else if (key === "width") {
+    value = parseInt(value);
+    value = isNaN(value) ? undefined : Math.min(MAX_IMAGE_WIDTH, Math.max(8, value));
+  } else {
+    value = String(value).trim();
+  }
+
+  executeCommand("change card image", () => {
+    const image = Object.assign({ src: "", alt: "", position: "top" }, card.image);
+    if (value === undefined) {
+      delete image[key];
+    } else {
+      image[key] = value;
     }
-    if (savedCounter) {
-      cardIdCounter = parseInt(savedCounter);
+
+    if (image.src) {
+      card.image = image;
+    } else {
+      delete card.image;
     }
-  } catch (e) {
-    console.error("Error loading data:", e);
-    cards = [];
-    cardIdCounter = 0;
+  });
+  if (key === "src") {
+    renderEditor();
   }
+  updatePreview();
 }
 
-// Clear all data
-function clearAll() {
-  if (confirm("Are you sure you want to clear all cards?")) {
-    cards = [];
-    cardIdCounter = 0;
+// Embed an uploaded image file in a card
+function uploadCardImage(cardId, input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  if (!/^image\//.test(file.type)) {
+    showToast(file.name + " is not an image", "error");
+    input.value = "";
+    return;
+  }
+  if (file.size > MAX_IMAGE_UPLOAD_BYTES) {
+    showToast(
+      `Images are embedded in the page, so keep them under ${MAX_IMAGE_UPLOAD_BYTES / 1024} KB`,
+      "error"
+    );
+    input.value = "";
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = function () {
+    const card = findCard(cardId);
+    if (!card) return;
+
+    // The image and its default alt text are undone together
+    executeCommand("add image", () => {
+      updateCardImage(cardId, "src", String(reader.result));
+      if (card.image && !card.image.alt) {
+        updateCardImage(cardId, "alt", file.name.replace(/\.[^.]+$/, "").replace(/[-_]+/g, " "));
+      }
+    });
     renderEditor();
     updatePreview();
-    localStorage.removeItem("specCards");
-    localStorage.removeItem("cardIdCounter");
-    updateButtonVisibility();
+  };
+  reader.onerror = function () {
+    showToast("Could not read " + file.name, "error");
+  };
+  reader.readAsDataURL(file);
+}
+
+// Remove the image of a card
+function removeCardImage(cardId) {
+  const card = findCard(cardId);
+  if (!card || !card.image) return;
+
+  executeCommand("remove card image", () => {
+    delete card.image;
+  });
+  renderEditor();
+  updatePreview();
+}
+
+// Render the move buttons of a card
+function renderMoveControls(cardId) {
+  return `<div class="move-controls">
+                  <button class="move-btn" title="Move to top (Alt+Home)" aria-label="Move card ${cardId} to top" onclick="moveItems([${cardId}], 'top')">⤒</button>
+                  <button class="move-btn" title="Move up (Alt+↑)" aria-label="Move card ${cardId} up" onclick="moveItems([${cardId}], 'up')">▲</button>
+                  <button class="move-btn" title="Move down (Alt+↓)" aria-label="Move card ${cardId} down" onclick="moveItems([${cardId}], 'down')">▼</button>
+                  <button class="move-btn" title="Move to bottom (Alt+End)" aria-label="Move card ${cardId} to bottom" onclick="moveItems([${cardId}], 'bottom')">⤓</button>
+              </div>`;
+}
+
+// Keyboard shortcuts for moving the focused card or section
+function handleMoveShortcut(event, itemId) {
+  if (!event.altKey || event.ctrlKey || event.metaKey) return;
+  // Text fields keep their own Alt+arrow behaviour
+  if (event.target.closest("input, textarea, select")) return;
+
+  const directions = {
+    ArrowUp: event.shiftKey ? "top" : "up",
+    ArrowDown: event.shiftKey ? "bottom" : "down",
+    Home: "top",
+    End: "bottom",
+  };
+  const direction = directions[event.key];
+  if (!direction) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  moveItems([itemId], direction, true);
+}
+
+// Move items within their list, keeping the relative order of the moved ones
+function moveWithinList(list, itemIds, direction) {
+  const isMoved = (item) => itemIds.has(item.id);
+  const swap = (a, b) => {
+    const item = list[a];
+    list[a] = list[b];
+    list[b] = item;
+  };
+
+  if (direction === "top" || direction === "bottom") {
+    const moved = list.filter(isMoved);
+    const rest = list.filter((item) => !isMoved(item));
+    list.splice(0, list.length, ...(direction === "top" ? moved.concat(rest) : rest.concat(moved)));
+  } else if (direction === "up") {
+    for (let i = 1; i < list.length; i++) {
+      if (isMoved(list[i]) && !isMoved(list[i - 1])) swap(i, i - 1);
+    }
+  } else {
+    for (let i = list.length - 2; i >= 0; i--) {
+      if (isMoved(list[i]) && !isMoved(list[i + 1])) swap(i, i + 1);
+    }
   }
 }
 
-// Toggle between preview and code view
-function toggleView(event) {
-  isCodeView = !isCodeView;
-  const previewArea = document.getElementById("previewArea");
-  const codeArea = document.getElementById("codeArea");
-  const toggleBtn = event.target;
+// Describe a card or section for announcements
+function describeItem(item) {
+  return isSection(item) ? `Section "${item.heading}"` : `Card ${item.id}`;
+}
 
-  if (isCodeView) {
-    previewArea.style.display = "none";
-    codeArea.style.display = "block";
-    toggleBtn.textContent = "Show Preview";
+// Move cards (or a section) up, down, to the top or to the bottom of their list
+function moveItems(itemIds, direction, keepFocus) {
+  const ids = new Set(itemIds);
+  const lists = [cards].concat(cards.filter(isSection).map((section) => section.cards));
+
+  executeCommand(ids.size > 1 ? "move cards" : "move card", () => {
+    lists.forEach((list) => moveWithinList(list, ids, direction));
+  });
+  renderEditor();
+  updatePreview();
+
+  const location = findItemLocation(itemIds[0]);
+  if (!location) return;
+
+  if (ids.size > 1) {
+    announce(`${ids.size} cards moved ${direction}`);
   } else {
-    previewArea.style.display = "block";
-    codeArea.style.display = "none";
-    toggleBtn.textContent = "Toggle Code View";
+    announce(
+      `${describeItem(location.item)} moved to position ${location.index + 1} of ${location.list.length}`
+    );
+  }
+
+  // Keyboard users keep working on the item they moved
+  if (keepFocus) {
+    const handle = document.querySelector(`[data-item-id="${itemIds[0]}"] .drag-handle`);
+    if (handle) {
+      handle.focus();
+      handle.scrollIntoView({ block: "nearest" });
+    }
   }
 }
 
-// Copy code from textarea to clipboard
-function copyFromTextarea() {
-  const codeTextarea = document.getElementById("codeTextarea");
-  const copyBtn = document.querySelector(".copy-btn");
+// Announce a message to screen readers
+function announce(message) {
+  const announcer = document.getElementById("liveAnnouncer");
+  if (!announcer) return;
 
-  if (navigator.clipboard && window.isSecureContext) {
-    // Use modern clipboard API
-    navigator.clipboard
-      .writeText(codeTextarea.value)
-      .then(function () {
-        showCopyFeedback(copyBtn);
-      })
-      .catch(function (err) {
-        console.error("Could not copy text: ", err);
-        fallbackCopyText(codeTextarea.value, copyBtn);
-      });
+  // Clear first so that repeating the same message is announced again
+  announcer.textContent = "";
+  setTimeout(() => {
+    announcer.textContent = message;
+  }, 50);
+}
+
+// Select or deselect a card for bulk actions
+function toggleCardSelection(cardId, selected) {
+  if (selected) {
+    selectedCardIds.add(cardId);
   } else {
-    // Fallback for older browsers or non-secure contexts
-    fallbackCopyText(codeTextarea.value, copyBtn);
+    selectedCardIds.delete(cardId);
+  }
+
+  const cardEditor = document.querySelector(`.card-editor[data-card-id="${cardId}"]`);
+  if (cardEditor) {
+    cardEditor.classList.toggle("selected", selected);
   }
+  updateBulkBar();
 }
 
-// Fallback copy method
-function fallbackCopyText(text, copyBtn) {
-  const textArea = document.createElement("textarea");
-  textArea.value = text;
-  textArea.style.position = "fixed";
-  textArea.style.left = "-999999px";
-  textArea.style.top = "-999999px";
-  document.body.appendChild(textArea);
-  textArea.focus();
-  textArea.select();
+// Select all cards, or none if all are selected already
+function toggleSelectAll() {
+  const allCards = getAllCards();
+  selectedCardIds =
+    selectedCardIds.size === allCards.length
+      ? new Set()
+      : new Set(allCards.map((card) => card.id));
+  renderEditor();
+}
 
-  try {
-    document.execCommand("copy");
-    showCopyFeedback(copyBtn);
-  } catch (err) {
-    console.error("Fallback: Could not copy text: ", err);
+// Get the selected cards in display order
+function getSelectedCardIds() {
+  return getAllCards()
+    .map((card) => card.id)
+    .filter((id) => selectedCardIds.has(id));
+}
+
+// Show the bulk action bar while cards are selected
+function updateBulkBar() {
+  const bulkBar = document.getElementById("bulkBar");
+  if (!bulkBar) return;
+
+  const count = selectedCardIds.size;
+  bulkBar.style.display = count > 0 ? "flex" : "none";
+  const countLabel = document.getElementById("bulkCount");
+  if (countLabel) {
+    countLabel.textContent = `${count} selected`;
   }
+}
 
-  document.body.removeChild(textArea);
+// Move all selected cards
+function moveSelectedCards(direction) {
+  const ids = getSelectedCardIds();
+  if (ids.length > 0) {
+    moveItems(ids, direction);
+  }
 }
 
-// Show copy feedback
-function showCopyFeedback(copyBtn) {
-  const originalText = copyBtn.textContent;
-  copyBtn.textContent = "Copied!";
-  copyBtn.classList.add("copied");
+// Duplicate cards, placing every copy right after its original
+function duplicateCards(cardIds) {
+  const copyIds = [];
 
-  setTimeout(function () {
-    copyBtn.textContent = originalText;
-    copyBtn.classList.remove("copied");
-  }, 2000);
+  executeCommand(cardIds.length > 1 ? "duplicate cards" : "duplicate card", () => {
+    cardIds.forEach((cardId) => {
+      const location = findItemLocation(cardId);
+      if (!location || isSection(location.item)) return;
+
+      const copy = JSON.parse(JSON.stringify(location.item));
+      copy.id = ++cardIdCounter;
+      location.list.splice(location.index + 1, 0, copy);
+      copyIds.push(copy.id);
+    });
+  });
+  return copyIds;
 }
 
-// Set viewport for preview
-function setViewport(viewport) {
-  currentViewport = viewport;
-  const previewContainer = document.getElementById("previewContainer");
-  const viewportButtons = document.querySelectorAll(".viewport-btn");
+// Duplicate a single card
+function duplicateCard(cardId) {
+  const copyIds = duplicateCards([cardId]);
+  renderEditor();
+  updatePreview();
+  announce(`Card ${cardId} duplicated as card ${copyIds[0]}`);
+}
 
-  // Update container class
-  previewContainer.className = "preview-container " + viewport;
+// Duplicate all selected cards and select the copies
+function duplicateSelectedCards() {
+  const copyIds = duplicateCards(getSelectedCardIds());
+  selectedCardIds = new Set(copyIds);
+  renderEditor();
+  updatePreview();
+  announce(`${copyIds.length} card(s) duplicated`);
+}
 
-  // Update active button
-  viewportButtons.forEach((btn) => {
-    btn.classList.remove("active");
-    if (btn.textContent.trim().toLowerCase() === viewport) {
-      btn.classList.add("active");
+// Delete all selected cards
+function deleteSelectedCards() {
+  const ids = getSelectedCardIds();
+  if (ids.length === 0 || !confirm(`Delete ${ids.length} selected card(s)?`)) return;
+
+  executeCommand("delete cards", () => {
+    ids.forEach((cardId) => {
+      const location = findItemLocation(cardId);
+      location.list.splice(location.index, 1);
+    });
+  });
+  selectedCardIds = new Set();
+  renderEditor();
+  updatePreview();
+  announce(`${ids.length} card(s) deleted`);
+}
+
+// Clear the selection
+function clearSelection() {
+  selectedCardIds = new Set();
+  renderEditor();
+}
+
+// Add a new section
+function addSection() {
+  executeCommand("add section", () => {
+    cards.push({
+      type: "section",
+      id: ++cardIdCounter,
+      heading: "New Section",
+      cards: [createDefaultCard()],
+    });
+  });
+  renderEditor();
+  updatePreview();
+}
+
+// Update a section heading
+function updateSectionHeading(sectionId, heading) {
+  const section = findSection(sectionId);
+  if (section) {
+    if (isTranslating()) {
+      executeCommand("edit translation", () => {
+        setTranslationField(section, getActiveLanguage(), "heading", heading);
+      });
+    } else {
+      executeCommand("edit section heading", () => {
+        section.heading = heading;
+      });
     }
+    updatePreview();
+  }
+}
+
+// Dissolve a section, keeping its cards in its place
+function ungroupSection(sectionId) {
+  const section = findSection(sectionId);
+  if (!section) return;
+
+  executeCommand("ungroup section", () => {
+    cards.splice(cards.indexOf(section), 1, ...section.cards);
+  });
+  renderEditor();
+  updatePreview();
+}
+
+// Delete a section together with its cards
+function deleteSection(sectionId) {
+  const section = findSection(sectionId);
+  if (!section) return;
+
+  if (
+    section.cards.length > 0 &&
+    !confirm(`Delete the section "${section.heading}" and its ${section.cards.length} card(s)?`)
+  ) {
+    return;
+  }
+
+  executeCommand("delete section", () => {
+    cards.splice(cards.indexOf(section), 1);
   });
+  renderEditor();
+  updatePreview();
 }
 
-// Show toast notification
-function showToast(message, type = "success") {
-  // Remove any existing toast
-  const existingToast = document.querySelector(".toast");
-  if (existingToast) {
-    existingToast.remove();
+// Reorder cards and sections based on drag and drop. Sections only live at the
+// top level; a card dropped on the lower half of a section header moves into it.
+function reorderCards(draggedCardId, targetCardId, clientY, targetElement) {
+  const dragged = findItemLocation(draggedCardId);
+  const target = findItemLocation(targetCardId);
+
+  if (!dragged || !target) return;
+
+  // Determine if we should insert before or after the target
+  const rect = targetElement.getBoundingClientRect();
+  const midpoint = rect.top + rect.height / 2;
+  const insertBefore = clientY < midpoint;
+
+  const draggingSection = isSection(dragged.item);
+  const anchor = draggingSection ? target.section || target.item : target.item;
+
+  // A section cannot be dropped onto its own cards
+  if (anchor === dragged.item) return;
+
+  executeCommand(draggingSection ? "move section" : "reorder cards", () => {
+    // Remove the dragged item from its current position
+    dragged.list.splice(dragged.index, 1);
+
+    if (draggingSection) {
+      const index = cards.indexOf(anchor);
+      cards.splice(insertBefore ? index : index + 1, 0, dragged.item);
+    } else if (isSection(target.item)) {
+      if (insertBefore) {
+        cards.splice(cards.indexOf(target.item), 0, dragged.item);
+      } else {
+        target.item.cards.unshift(dragged.item);
+      }
+    } else {
+      // Insert the card next to the target, in the target's list
+      const index = target.list.indexOf(target.item);
+      target.list.splice(insertBefore ? index : index + 1, 0, dragged.item);
+    }
+  });
+
+  // Re-render editor and update preview
+  renderEditor();
+  updatePreview();
+}
+
+// Escape HTML function
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Escape text for use inside a double-quoted attribute
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
+}
+
+// Get the lines of a card field, whatever format it is stored in
+function getFieldLines(value) {
+  return (typeof value === "string" ? value : value.join("\n"))
+    .split("\n")
+    .filter((line) => line.trim());
+}
+
+// Inline formatting allowed in titles and rows: tag name -> permitted attributes.
+// Everything else is escaped on output and unwrapped to its text on import.
+const INLINE_FORMAT_RULES = {
+  b: [],
+  strong: [],
+  i: [],
+  em: [],
+  sup: [],
+  a: ["href", "title", "target"],
+  span: ["class"],
+  br: ["class"],
+};
+
+// Tags that are only allowed as responsive break markers
+const INLINE_CLASS_RULES = {
+  span: ["mobile-br", "mobile-hyphen"],
+  br: ["mobile-br"],
+};
+
+const VOID_INLINE_TAGS = ["br"];
+
+// Elements whose content is dropped entirely on import
+const DROPPED_IMPORT_TAGS = ["script", "style", "template", "noscript", "iframe", "object"];
+
+// Allow only link targets that cannot run code
+function isSafeUrl(url) {
+  const compact = url.replace(/[\u0000-\u0020\u007F]+/g, "");
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ["http", "https", "mailto", "tel"].includes(scheme[1].toLowerCase());
+}
+
+// Filter the attributes of an inline element against the rules.
+// Returns null if the element itself is not allowed.
+function filterInlineAttributes(tagName, attributes) {
+  const allowed = INLINE_FORMAT_RULES[tagName];
+  if (!allowed) return null;
+
+  const result = [];
+  attributes.forEach(([name, value]) => {
+    name = name.toLowerCase();
+    if (!allowed.includes(name) || name === "class") return;
+    if (name === "href" && !isSafeUrl(value)) return;
+    if (name === "target" && value !== "_blank") return;
+    result.push([name, value]);
+  });
+
+  if (INLINE_CLASS_RULES[tagName]) {
+    const classAttribute = attributes.find(([name]) => name.toLowerCase() === "class");
+    const className = classAttribute ? classAttribute[1].trim() : "";
+    if (!INLINE_CLASS_RULES[tagName].includes(className)) return null;
+    result.unshift(["class", className]);
+  }
+
+  if (result.some(([name]) => name === "target")) {
+    result.push(["rel", "noopener noreferrer"]);
+  }
+  return result;
+}
+
+// Build the opening tag of an allowed inline element
+function buildInlineTag(tagName, attributes) {
+  const attributeHTML = attributes
+    .map(
+      ([name, value]) =>
+        ` ${name}="${value
+          .replace(/&/g, "&amp;")
+          .replace(/"/g, "&quot;")
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;")}"`
+    )
+    .join("");
+  return VOID_INLINE_TAGS.includes(tagName)
+    ? `<${tagName}${attributeHTML} />`
+    : `<${tagName}${attributeHTML}>`;
+}
+
+// Escape text while keeping the entities that are already in it
+function escapeInlineText(text) {
+  return text
+    .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Decode the entities of an attribute value
+function decodeEntities(text) {
+  const textarea = document.createElement("textarea");
+  textarea.innerHTML = text;
+  return textarea.value;
+}
+
+// Sanitize one line of a title or rows field for preview and export: allowed
+// inline formatting is kept (and balanced), everything else is escaped
+function sanitizeInlineHTML(line) {
+  const tagPattern =
+    /<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=\/>"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+  const attributePattern =
+    /([^\s=\/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const openTags = [];
+  let output = "";
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(line)) !== null) {
+    output += escapeInlineText(line.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const isClosing = match[1] === "/";
+    const tagName = match[2].toLowerCase();
+
+    if (isClosing) {
+      const openIndex = openTags.lastIndexOf(tagName);
+      if (openIndex === -1 || VOID_INLINE_TAGS.includes(tagName)) {
+        output += escapeInlineText(match[0]);
+        continue;
+      }
+      // Close everything that was left open inside this element
+      while (openTags.length > openIndex) {
+        output += `</${openTags.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = [];
+    let attributeMatch;
+    attributePattern.lastIndex = 0;
+    while ((attributeMatch = attributePattern.exec(match[3])) !== null) {
+      const value =
+        attributeMatch[2] !== undefined
+          ? attributeMatch[2]
+          : attributeMatch[3] !== undefined
+          ? attributeMatch[3]
+          : attributeMatch[4] || "";
+      attributes.push([attributeMatch[1], decodeEntities(value)]);
+    }
+
+    const allowedAttributes = filterInlineAttributes(tagName, attributes);
+    if (!allowedAttributes) {
+      output += escapeInlineText(match[0]);
+      continue;
+    }
+
+    output += buildInlineTag(tagName, allowedAttributes);
+    if (!VOID_INLINE_TAGS.includes(tagName)) {
+      openTags.push(tagName);
+    }
+  }
+
+  output += escapeInlineText(line.slice(lastIndex));
+  while (openTags.length > 0) {
+    output += `</${openTags.pop()}>`;
+  }
+  return output;
+}
+
+// Get the sanitized lines of a card field, ready to be put into markup
+function getSanitizedLines(value) {
+  return getFieldLines(value).map(sanitizeInlineHTML);
+}
+
+// Parse HTML into an inert fragment (nothing loads or runs)
+function parseHTMLFragment(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return template.content;
+}
+
+// Convert imported markup to the inline formatting subset: allowed elements are
+// kept, other elements are unwrapped to their content
+function sanitizeImportedHTML(html) {
+  const convert = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeHtml(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const tagName = node.tagName.toLowerCase();
+    if (DROPPED_IMPORT_TAGS.includes(tagName)) return "";
+
+    const inner = Array.from(node.childNodes).map(convert).join("");
+    const attributes = filterInlineAttributes(
+      tagName,
+      Array.from(node.attributes).map((attribute) => [attribute.name, attribute.value])
+    );
+    if (!attributes) return inner;
+
+    return VOID_INLINE_TAGS.includes(tagName)
+      ? buildInlineTag(tagName, attributes)
+      : `${buildInlineTag(tagName, attributes)}${inner}</${tagName}>`;
+  };
+
+  return Array.from(parseHTMLFragment(html).childNodes).map(convert).join("");
+}
+
+// Inline formatting offered by the field toolbars
+const FORMAT_ACTIONS = {
+  bold: { label: "<b>B</b>", title: "Bold" },
+  italic: { label: "<i>I</i>", title: "Italic" },
+  link: { label: "🔗", title: "Link" },
+  mobileBreak: { label: "↵", title: "Line break on mobile only" },
+  softHyphen: { label: "-↵", title: "Hyphenated line break on mobile only" },
+};
+
+// Render the formatting toolbar of a title or rows field
+function renderFormatToolbar(cardId, field) {
+  return `<div class="format-toolbar">${Object.keys(FORMAT_ACTIONS)
+    .map(
+      (action) =>
+        `<button type="button" class="format-btn" title="${FORMAT_ACTIONS[action].title}"
+                 onmousedown="event.preventDefault()"
+                 onclick="applyFormat(${cardId}, '${field}', '${action}')">${
+                   FORMAT_ACTIONS[action].label
+                 }</button>`
+    )
+    .join("")}</div>`;
+}
+
+// Insert formatting markup at the cursor of a title or rows field
+function applyFormat(cardId, field, action) {
+  const textarea = document.getElementById(`${field}-${cardId}`);
+  if (!textarea) return;
+
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  const selected = textarea.value.slice(start, end);
+  let before = "";
+  let inner = "";
+  let after = "";
+
+  switch (action) {
+    case "bold":
+      before = "<b>";
+      inner = selected || "bold text";
+      after = "</b>";
+      break;
+    case "italic":
+      before = "<i>";
+      inner = selected || "italic text";
+      after = "</i>";
+      break;
+    case "link": {
+      const url = prompt("Link URL:", "https://");
+      if (!url || !url.trim()) return;
+      if (!isSafeUrl(url)) {
+        showToast("Only http(s), mailto and tel links are allowed", "error");
+        return;
+      }
+      before = `<a href="${url.trim().replace(/"/g, "&quot;")}">`;
+      inner = selected || url.trim();
+      after = "</a>";
+      break;
+    }
+    case "mobileBreak":
+      inner = selected;
+      after = '<br class="mobile-br" />';
+      break;
+    case "softHyphen":
+      inner = selected;
+      after = '<span class="mobile-hyphen"></span><br class="mobile-br" />';
+      break;
+    default:
+      return;
+  }
+
+  textarea.focus();
+  textarea.setRangeText(before + inner + after, start, end, "end");
+
+  // Keep the wrapped text selected so it can be typed over
+  if (before) {
+    textarea.setSelectionRange(start + before.length, start + before.length + inner.length);
+  }
+
+  if (field === "title") {
+    updateCardTitle(cardId, textarea.value);
+  } else {
+    updateRows(cardId, textarea.value);
+  }
+}
+
+// Render the per-card style options of the card editor
+function renderCardStyleOptions(card) {
+  const style = card.style || {};
+  const settings = getExportSettings();
+  const hasStyle = Object.keys(style).length > 0;
+
+  return `<details class="card-style-options"${hasStyle ? " open" : ""}>
+                    <summary>Card Style</summary>
+                    <div class="card-style-grid">
+                        <label>Header background
+                            <input type="color" class="form-control" value="${escapeAttribute(style.headerBackground || settings.headerBackground)}"
+                                   onchange="updateCardStyle(${card.id}, 'headerBackground', this.value)" />
+                        </label>
+                        <label>Header text
+                            <input type="color" class="form-control" value="${escapeAttribute(style.headerTextColor || settings.headerTextColor)}"
+                                   onchange="updateCardStyle(${card.id}, 'headerTextColor', this.value)" />
+                        </label>
+                        <label>Alignment
+                            <select class="form-control" onchange="updateCardStyle(${card.id}, 'align', this.value)">
+                                ${CARD_ALIGNMENTS.map(
+                                  (align) =>
+                                    `<option value="${align}"${
+                                      (style.align || "center") === align ? " selected" : ""
+                                    }>${align}</option>`
+                                ).join("")}
+                            </select>
+                        </label>
+                        <label>Column span
+                            <select class="form-control" onchange="updateCardStyle(${card.id}, 'span', this.value)">
+                                ${Array.from({ length: MAX_CARD_SPAN }, (_, i) => i + 1)
+                                  .map(
+                                    (span) =>
+                                      `<option value="${span}"${
+                                        (style.span || 1) === span ? " selected" : ""
+                                      }>${span}</option>`
+                                  )
+                                  .join("")}
+                            </select>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" ${style.highlight ? "checked" : ""}
+                                   onchange="updateCardStyle(${card.id}, 'highlight', this.checked)" />
+                            Highlight border
+                        </label>
+                        <button class="btn btn-secondary btn-sm" onclick="resetCardStyle(${card.id})">Reset style</button>
+                    </div>
+                </details>`;
+}
+
+// Render the label/value grid of a card in pair mode
+function renderPairsEditor(card) {
+  // In a translation the primary text is the placeholder and units are shared
+  const translatedPairs = isTranslating()
+    ? getTranslation(card, getActiveLanguage()).pairs || []
+    : null;
+  const input = (index, key, placeholder) => {
+    const pair = card.pairs[index];
+    const translated = translatedPairs && key !== "unit" ? translatedPairs[index] || {} : null;
+    const hint = translated ? pair[key] || placeholder : placeholder;
+    return `<input type="text" class="form-control pair-${key}" value="${escapeAttribute(
+      (translated ? translated[key] : pair[key]) || ""
+    )}"
+            placeholder="${escapeAttribute(hint)}" aria-label="${placeholder} ${index + 1}"
+            ${translatedPairs && key === "unit" ? 'disabled title="Units are shared by all languages"' : ""}
+            onchange="updatePair(${card.id}, ${index}, '${key}', this.value)" />`;
+  };
+
+  return `<div class="pairs-editor" id="pairs-${card.id}">
+                      ${card.pairs
+                        .map(
+                          (pair, index) => `
+                      <div class="pair-row">
+                          ${input(index, "label", "Label")}
+                          ${input(index, "value", "Value")}
+                          ${input(index, "unit", "Unit")}
+                          <button class="move-btn" title="Remove row" aria-label="Remove row ${index + 1}"
+                                  onclick="removePair(${card.id}, ${index})">×</button>
+                      </div>`
+                        )
+                        .join("")}
+                  </div>
+                  <div class="pairs-actions">
+                      <button class="btn btn-secondary btn-sm" onclick="addPair(${card.id})">+ Add row</button>
+                      <select class="form-control" onchange="setPairLayout(${card.id}, this.value)" title="Row layout">
+                          ${Object.keys(PAIR_LAYOUTS)
+                            .map(
+                              (layout) =>
+                                `<option value="${layout}"${
+                                  (card.pairLayout || "columns") === layout ? " selected" : ""
+                                }>${PAIR_LAYOUTS[layout]}</option>`
+                            )
+                            .join("")}
+                      </select>
+                  </div>`;
+}
+
+// Render the image options of a card
+function renderCardImageOptions(card) {
+  const image = card.image || {};
+  const isEmbedded = /^data:/i.test(image.src || "");
+
+  return `<details class="card-style-options card-image-options"${image.src ? " open" : ""}>
+                    <summary>Image</summary>
+                    ${
+                      image.src
+                        ? `<img class="card-image-thumb" src="${escapeAttribute(image.src)}" alt="" />`
+                        : ""
+                    }
+                    <div class="card-style-grid">
+                        <label class="card-image-wide">Image URL
+                            <input type="url" class="form-control" placeholder="https://..."
+                                   value="${isEmbedded ? "" : escapeAttribute(image.src || "")}"
+                                   ${isEmbedded ? 'disabled title="Embedded image"' : ""}
+                                   onchange="updateCardImage(${card.id}, 'src', this.value)" />
+                        </label>
+                        <label class="card-image-wide">Upload
+                            <input type="file" class="form-control" accept="image/*"
+                                   onchange="uploadCardImage(${card.id}, this)" />
+                        </label>
+                        <label class="card-image-wide">Alt text
+                            <input type="text" class="form-control" value="${escapeAttribute(image.alt || "")}"
+                                   placeholder="Describe the image"
+                                   onchange="updateCardImage(${card.id}, 'alt', this.value)" />
+                        </label>
+                        <label>Position
+                            <select class="form-control" onchange="updateCardImage(${card.id}, 'position', this.value)">
+                                ${Object.keys(IMAGE_POSITIONS)
+                                  .map(
+                                    (position) =>
+                                      `<option value="${position}"${
+                                        (image.position || "top") === position ? " selected" : ""
+                                      }>${IMAGE_POSITIONS[position]}</option>`
+                                  )
+                                  .join("")}
+                            </select>
+                        </label>
+                        <label>Width (px)
+                            <input type="number" class="form-control" min="8" max="${MAX_IMAGE_WIDTH}"
+                                   value="${escapeAttribute(String(image.width || ""))}" placeholder="auto"
+                                   onchange="updateCardImage(${card.id}, 'width', this.value)" />
+                        </label>
+                        ${
+                          image.src
+                            ? `<button class="btn btn-secondary btn-sm" onclick="removeCardImage(${card.id})">Remove image</button>`
+                            : ""
+                        }
+                    </div>
+                </details>`;
+}
+
+// Render editor panel
+function renderEditor() {
+  const editorContainer = document.getElementById("cardsEditor");
+  editorContainer.innerHTML = "";
+
+  // Forget selected cards that no longer exist
+  selectedCardIds = new Set(
+    getAllCards()
+      .map((card) => card.id)
+      .filter((id) => selectedCardIds.has(id))
+  );
+
+  // Translations are edited over the primary text, which shows as placeholder
+  if (isTranslating()) {
+    const notice = document.createElement("div");
+    notice.className = "translation-notice";
+    notice.textContent =
+      `Editing the ${getActiveLanguage().toUpperCase()} translation. Empty fields ` +
+      `fall back to ${getPrimaryLanguage().toUpperCase()}.`;
+    editorContainer.appendChild(notice);
+  }
+
+  cards.forEach((item) => {
+    editorContainer.appendChild(
+      isSection(item) ? createSectionEditor(item) : createCardEditor(item)
+    );
+  });
+  updateBulkBar();
+  updateTranslationStatus();
+}
+
+// Create the editor of a single card
+function createCardEditor(card) {
+  const isSelected = selectedCardIds.has(card.id);
+  const translation = isTranslating() ? getTranslation(card, getActiveLanguage()) : null;
+  const cardEditor = document.createElement("div");
+  cardEditor.className = "card-editor" + (isSelected ? " selected" : "");
+  cardEditor.dataset.cardId = card.id;
+  cardEditor.innerHTML = `
+          <div class="card-editor-header">
+              <div class="card-editor-header-content">
+                  <input type="checkbox" class="card-select" ${isSelected ? "checked" : ""}
+                         aria-label="Select card ${card.id}"
+                         onchange="toggleCardSelection(${card.id}, this.checked)" />
+                  <span class="drag-handle" draggable="true" tabindex="0" role="button"
+                        aria-label="Move card ${card.id}. Use Alt plus arrow keys, Home or End to move.">⋮⋮</span>
+                  <span>Card ${card.id}</span>
+                  <span class="missing-translation" id="missing-${card.id}" hidden></span>
+              </div>
+              ${renderMoveControls(card.id)}
+              <button class="move-btn" title="Duplicate card" aria-label="Duplicate card ${
+                card.id
+              }" onclick="duplicateCard(${card.id})">⧉</button>
+              <button class="move-btn" title="Save to card library" aria-label="Save card ${
+                card.id
+              } to library" onclick="saveCardsToLibrary([${card.id}])">☆</button>
+              <button class="btn btn-danger btn-sm" onclick="deleteCard(${
+                card.id
+              })">×</button>
+          </div>
+          <div class="card-content">
+              <div class="form-group">
+                  <label>Card Title:</label>
+                  ${renderFormatToolbar(card.id, "title")}
+                  <textarea class="form-control" id="title-${
+                    card.id
+                  }" onchange="updateCardTitle(${card.id}, this.value)"
+                            placeholder="${
+                              translation ? escapeAttribute(card.title) : "Enter title (one line per row)"
+                            }" rows="2">${escapeHtml(
+                              translation
+                                ? translation.title || ""
+                                : typeof card.title === "string"
+                                ? card.title
+                                : card.title.join("\n")
+                            )}</textarea>
+              </div>
+              <div class="form-group">
+                  <label class="rows-label">Content Rows:
+                      <select class="form-control row-mode-select" onchange="setRowMode(${card.id}, this.value)">
+                          ${Object.keys(ROW_MODES)
+                            .map(
+                              (mode) =>
+                                `<option value="${mode}"${
+                                  (card.rowMode || "text") === mode ? " selected" : ""
+                                }>${ROW_MODES[mode]}</option>`
+                            )
+                            .join("")}
+                      </select>
+                  </label>
+                  ${
+                    card.rowMode === "pairs"
+                      ? renderPairsEditor(card)
+                      : `${renderFormatToolbar(card.id, "rows")}
+                  <textarea class="form-control" id="rows-${
+                    card.id
+                  }" onchange="updateRows(${card.id}, this.value)"
+                            placeholder="${
+                              translation ? escapeAttribute(card.rows) : "Enter content (one line per row)"
+                            }" rows="4">${escapeHtml(
+                              translation
+                                ? translation.rows || ""
+                                : typeof card.rows === "string"
+                                ? card.rows
+                                : card.rows.join("\n")
+                            )}</textarea>`
+                  }
+              </div>
+              ${renderCardImageOptions(card)}
+              ${renderCardStyleOptions(card)}
+          </div>
+      `;
+
+  attachDragHandlers(cardEditor, cardEditor, card.id);
+  return cardEditor;
+}
+
+// Create the editor of a section with the editors of its cards
+function createSectionEditor(section) {
+  const translation = isTranslating() ? getTranslation(section, getActiveLanguage()) : null;
+  const sectionEditor = document.createElement("div");
+  sectionEditor.className = "section-editor";
+  sectionEditor.dataset.sectionId = section.id;
+  sectionEditor.innerHTML = `
+          <div class="section-editor-header">
+              <div class="card-editor-header-content">
+                  <span class="drag-handle" draggable="true" tabindex="0" role="button"
+                        aria-label="Move section. Use Alt plus arrow keys, Home or End to move.">⋮⋮</span>
+                  <input class="form-control section-heading-input" value="${escapeAttribute(
+                    translation ? translation.heading || "" : section.heading
+                  )}" onchange="updateSectionHeading(${section.id}, this.value)"
+                         placeholder="${translation ? escapeAttribute(section.heading) : "Section heading"}" />
+                  <span class="missing-translation" id="missing-${section.id}" hidden></span>
+              </div>
+              <button class="btn btn-secondary btn-sm" onclick="addCard(${
+                section.id
+              })" title="Add a card to this section">+ Card</button>
+              <button class="btn btn-secondary btn-sm" onclick="ungroupSection(${
+                section.id
+              })" title="Move the cards out of this section">Ungroup</button>
+              <button class="btn btn-danger btn-sm" onclick="deleteSection(${
+                section.id
+              })">×</button>
+          </div>
+          <div class="section-cards">
+              ${section.cards.length === 0 ? '<div class="section-empty">Drop cards on the heading to add them here</div>' : ""}
+          </div>
+      `;
+
+  const sectionCards = sectionEditor.querySelector(".section-cards");
+  section.cards.forEach((card) => {
+    sectionCards.appendChild(createCardEditor(card));
+  });
+
+  // The whole section is dragged by its handle and dropped onto via its header
+  attachDragHandlers(
+    sectionEditor,
+    sectionEditor.querySelector(".section-editor-header"),
+    section.id
+  );
+  return sectionEditor;
+}
+
+// Add drag and drop event listeners to a card or section editor
+function attachDragHandlers(dragElement, dropTarget, itemId) {
+  const dragHandle = dragElement.querySelector('.drag-handle');
+  dropTarget.dataset.itemId = itemId;
+
+  // Keyboard reordering
+  dropTarget.addEventListener('keydown', function(e) {
+    handleMoveShortcut(e, itemId);
+  });
+
+  // Touch reordering - HTML5 drag events do not fire for touch input
+  dragHandle.addEventListener('touchstart', function(e) {
+    if (e.touches.length !== 1) return;
+
+    // Keep the swipe gesture of the mobile menu out of this
+    e.stopPropagation();
+    dragState.isDragging = true;
+    dragState.draggedElement = dragElement;
+    dragState.lastTargetElement = null;
+    dragState.lastMouseY = e.touches[0].clientY;
+    dragElement.classList.add('dragging');
+  }, { passive: true });
+
+  dragHandle.addEventListener('touchmove', function(e) {
+    if (!dragState.isDragging || dragState.draggedElement !== dragElement) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const touch = e.touches[0];
+    dragState.lastMouseY = touch.clientY;
+    const element = document.elementFromPoint(touch.clientX, touch.clientY);
+    const target = element ? element.closest('[data-item-id]') : null;
+
+    if (dragState.lastTargetElement && dragState.lastTargetElement !== target) {
+      dragState.lastTargetElement.classList.remove('drag-over');
+    }
+    if (!target || dragElement.contains(target)) {
+      dragState.lastTargetElement = null;
+      hideDragIndicator();
+      return;
+    }
+
+    dragState.lastTargetElement = target;
+    target.classList.add('drag-over');
+    const rect = target.getBoundingClientRect();
+    hideDragIndicator();
+    showDragIndicator(target, touch.clientY < rect.top + rect.height / 2);
+  }, { passive: false });
+
+  const endTouchDrag = function(commit) {
+    if (dragState.draggedElement !== dragElement) return;
+
+    const target = dragState.lastTargetElement;
+    dragElement.classList.remove('dragging');
+    clearAllDragEffects();
+    dragState.isDragging = false;
+    dragState.draggedElement = null;
+    dragState.lastTargetElement = null;
+
+    if (commit && target) {
+      reorderCards(itemId, parseInt(target.dataset.itemId), dragState.lastMouseY, target);
+    }
+  };
+  dragHandle.addEventListener('touchend', () => endTouchDrag(true));
+  dragHandle.addEventListener('touchcancel', () => endTouchDrag(false));
+  
+  dragHandle.addEventListener('dragstart', function(e) {
+    // Performance: Set drag state and track timing
+    dragState.isDragging = true;
+    dragState.draggedElement = dragElement;
+    dragState.dragStartTime = performance.now();
+    dragState.lastMouseY = e.clientY;
+    dragState.velocity = 0;
+
+    // Smooth drag start animation
+    requestAnimationFrame(() => {
+      dragElement.classList.add('dragging');
+      dragElement.style.transform = 'scale(1.02) rotate(1deg)';
+    });
+
+    e.dataTransfer.setData('text/plain', itemId);
+    e.dataTransfer.effectAllowed = 'move';
+
+    // Create enhanced drag image with better styling
+    const dragImage = dragElement.cloneNode(true);
+    dragImage.style.cssText = `
+      position: absolute;
+      top: -1000px;
+      left: -1000px;
+      width: ${dragElement.offsetWidth}px;
+      transform: scale(0.95) rotate(3deg);
+      opacity: 0.9;
+      box-shadow: 0 15px 35px rgba(0, 123, 255, 0.4);
+      border: 2px solid #007bff;
+      border-radius: 8px;
+      z-index: 10000;
+      pointer-events: none;
+    `;
+    document.body.appendChild(dragImage);
+
+    e.dataTransfer.setDragImage(dragImage,
+      dragImage.offsetWidth / 2,
+      dragImage.offsetHeight / 2
+    );
+
+    // Clean up drag image
+    setTimeout(() => {
+      if (dragImage.parentNode) {
+        dragImage.parentNode.removeChild(dragImage);
+      }
+    }, 0);
+  });
+  
+  dragElement.addEventListener('dragend', function(e) {
+    // Cards inside a section must not also end the section's drag
+    e.stopPropagation();
+
+    // Smooth drag end with spring animation
+    const finalTransform = () => {
+      dragElement.style.transform = '';
+      dragElement.classList.remove('dragging');
+    };
+
+    // Apply momentum-based settling animation
+    if (Math.abs(dragState.velocity) > 0.1) {
+      dragElement.style.transition = 'transform 0.4s cubic-bezier(0.34, 1.56, 0.64, 1)';
+      dragElement.style.transform = `translateY(${dragState.velocity * 2}px)`;
+
+      setTimeout(() => {
+        dragElement.style.transform = '';
+        setTimeout(finalTransform, 200);
+      }, 100);
+    } else {
+      dragElement.style.transition = 'transform 0.3s ease-out';
+      setTimeout(finalTransform, 50);
+    }
+
+    // Reset drag state
+    dragState.isDragging = false;
+    dragState.draggedElement = null;
+    dragState.lastTargetElement = null;
+    dragState.velocity = 0;
+
+    clearAllDragEffects();
+  });
+  
+  dropTarget.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+  
+  // Enhanced dragenter with smooth animations
+  const smoothDragEnter = function(e) {
+    e.preventDefault();
+
+    if (!dragState.isDragging || dragState.draggedElement === dropTarget) {
+      return;
+    }
+
+    // Use requestAnimationFrame for smooth updates
+    if (dragState.animationId) {
+      cancelAnimationFrame(dragState.animationId);
+    }
+
+    dragState.animationId = requestAnimationFrame((timestamp) => {
+      // Clear previous target effects with smooth transition
+      if (dragState.lastTargetElement && dragState.lastTargetElement !== dropTarget) {
+        dragState.lastTargetElement.style.transition = 'all 0.2s ease-out';
+        dragState.lastTargetElement.classList.remove('drag-over');
+      }
+
+      // Set new target with smooth entrance
+      dragState.lastTargetElement = dropTarget;
+      dropTarget.style.transition = 'all 0.2s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+      dropTarget.classList.add('drag-over');
+
+      // Add subtle bounce effect
+      dropTarget.style.transform = 'scale(1.01) translateY(-1px)';
+      setTimeout(() => {
+        dropTarget.style.transform = 'scale(1.01)';
+      }, 150);
+
+      // Smooth update with momentum tracking
+      smoothUpdateDragEffects(dropTarget, e.clientY, timestamp);
+    });
+  };
+
+  // Throttle the smooth drag enter
+  const throttledSmoothDragEnter = throttle(smoothDragEnter, 8); // ~120fps for ultra-smooth
+  dropTarget.addEventListener('dragenter', throttledSmoothDragEnter);
+  
+  dropTarget.addEventListener('dragleave', function(e) {
+    // Performance: Simplified boundary check
+    const rect = dropTarget.getBoundingClientRect();
+    if (e.clientX < rect.left || e.clientX > rect.right ||
+        e.clientY < rect.top || e.clientY > rect.bottom) {
+      if (dragState.lastTargetElement === dropTarget) {
+        dropTarget.classList.remove('drag-over');
+        hideDragIndicator();
+      }
+    }
+  });
+  
+  dropTarget.addEventListener('drop', function(e) {
+    e.preventDefault();
+
+    if (!dragState.isDragging) return;
+
+    const draggedCardId = parseInt(e.dataTransfer.getData('text/plain'));
+    const targetCardId = itemId;
+
+    // Add satisfying drop animation
+    const dropAnimation = () => {
+      dropTarget.style.transition = 'all 0.3s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
+      dropTarget.style.transform = 'scale(1.05)';
+
+      setTimeout(() => {
+        dropTarget.style.transform = '';
+        dropTarget.style.transition = '';
+      }, 300);
+    };
+
+    // Add success haptic feedback
+    const successPulse = () => {
+      dropTarget.style.background = 'linear-gradient(45deg, #f8fff9, #e8f7e8)';
+      dropTarget.style.borderColor = '#28a745';
+
+      setTimeout(() => {
+        dropTarget.style.background = '';
+        dropTarget.style.borderColor = '';
+      }, 500);
+    };
+
+    // Perform reordering with smooth feedback
+    if (draggedCardId !== targetCardId) {
+      dropAnimation();
+      successPulse();
+
+      // Slight delay for visual feedback before reordering
+      setTimeout(() => {
+        reorderCards(draggedCardId, targetCardId, e.clientY, dropTarget);
+      }, 100);
+    }
+
+    // Clean up all drag effects efficiently
+    clearAllDragEffects();
+  });
+}
+
+// Build the card stylesheet from the export settings as base rules plus
+// rules for the tablet and mobile breakpoints
+function buildCardStyleRules(settings) {
+  const border = `1px solid ${settings.borderColor}`;
+
+  return {
+    base: [
+      ["body", {
+        "font-family": settings.fontFamily,
+        "padding": "0 10px 0 10px",
+      }],
+      [".specs-container", {
+        "display": "grid",
+        "grid-template-columns": `repeat(${settings.columnsDesktop}, 1fr)`,
+        "gap": `${settings.gap}px`,
+        "margin-bottom": "50px",
+      }],
+      [".spec-card", {
+        "border": border,
+        "background-color": settings.cardBackground,
+        "text-align": "center",
+        "font-size": `${settings.fontSize}px`,
+      }],
+      [".spec-header", {
+        "background-color": settings.headerBackground,
+        "color": settings.headerTextColor,
+        "padding": "15px",
+        "font-weight": "bold",
+        "border-bottom": border,
+        "min-height": "28px",
+      }],
+      [".spec-content", {
+        "padding": "15px",
+        "word-break": "break-word",
+        "white-space": "normal",
+      }],
+      [".mobile-br, .mobile-hyphen", {
+        "display": "none",
+      }],
+      [".spec-card--highlight", {
+        "border": `2px solid ${settings.highlightColor}`,
+      }],
+      [".spec-card--align-left", {
+        "text-align": "left",
+      }],
+      [".spec-card--align-right", {
+        "text-align": "right",
+      }],
+      [".spec-section-heading", {
+        "font-size": `${settings.fontSize + 6}px`,
+        "margin": "30px 0 10px 0",
+      }],
+      [".spec-media", {
+        "margin": "8px 0",
+      }],
+      [".spec-media--top", {
+        "margin": "0",
+        "padding": "15px 15px 0 15px",
+      }],
+      [".spec-image", {
+        "max-width": "100%",
+        "height": "auto",
+        "vertical-align": "middle",
+      }],
+      [".spec-image--header", {
+        "margin-right": "8px",
+      }],
+      [".spec-pairs", {
+        "display": "grid",
+        "grid-template-columns": "auto 1fr",
+        "gap": "4px 12px",
+        "margin": "0",
+        "text-align": "left",
+      }],
+      [".spec-pairs--stacked", {
+        "grid-template-columns": "1fr",
+        "gap": "0",
+      }],
+      [".spec-pair-label", {
+        "font-weight": "bold",
+      }],
+      [".spec-pair-value", {
+        "margin": "0",
+      }],
+      [".spec-pairs--stacked .spec-pair-value", {
+        "margin-bottom": "6px",
+      }],
+    ].concat(buildSpanRules(settings.columnsDesktop)),
+    tablet: [
+      [".specs-container", {
+        "grid-template-columns": `repeat(${settings.columnsTablet}, 1fr)`,
+      }],
+      [".spec-card", {
+        "font-size": `${Math.max(settings.fontSize - 1, 1)}px`,
+      }],
+      [".spec-header, .spec-content", {
+        "padding": "10px",
+      }],
+      [".mobile-br", {
+        "display": "inline",
+      }],
+      [".mobile-hyphen::after", {
+        "content": '"-"',
+      }],
+      [".mobile-hyphen", {
+        "display": "inline",
+      }],
+    ].concat(buildSpanRules(settings.columnsTablet)),
+    mobile: [
+      [".specs-container", {
+        "grid-template-columns": `repeat(${settings.columnsMobile}, 1fr)`,
+      }],
+      [".spec-card", {
+        "font-size": `${Math.max(settings.fontSize - 2, 1)}px`,
+      }],
+      [".spec-header, .spec-content", {
+        "padding": "8px",
+      }],
+    ].concat(buildSpanRules(settings.columnsMobile)),
+    // Printing keeps every card on one page and its colors intact
+    print: [
+      ["body", {
+        "padding": "0",
+      }],
+      [".specs-container", {
+        "margin-bottom": "20px",
+      }],
+      [".spec-card", {
+        "break-inside": "avoid",
+        "page-break-inside": "avoid",
+        "-webkit-print-color-adjust": "exact",
+        "print-color-adjust": "exact",
+      }],
+      [".spec-section-heading", {
+        "break-after": "avoid",
+        "page-break-after": "avoid",
+      }],
+    ],
+  };
+}
+
+// Build the @page rule for the paper options
+function buildPageCSS(settings, indent) {
+  return `${indent}@page {
+${indent}  size: ${settings.pageSize} ${settings.pageOrientation};
+${indent}  margin: ${settings.pageMargin}mm;
+${indent}}`;
+}
+
+// Build the column span rules for a grid with the given number of columns
+function buildSpanRules(columns) {
+  const rules = [];
+  for (let span = 2; span <= MAX_CARD_SPAN; span++) {
+    const effectiveSpan = Math.min(span, columns);
+    rules.push([`.spec-card--span-${span}`, {
+      "grid-column": effectiveSpan > 1 ? `span ${effectiveSpan}` : "auto",
+    }]);
+  }
+  return rules;
+}
+
+// Serialize style rules, optionally rewriting every selector with mapSelector
+function serializeCSSRules(rules, indent, mapSelector) {
+  return rules
+    .map(([selector, declarations]) => {
+      const scopedSelector = selector
+        .split(",")
+        .map((part) => part.trim())
+        .map((part) => (mapSelector ? mapSelector(part) : part))
+        .join(",\n" + indent);
+      const body = Object.keys(declarations)
+        .map((property) => `${indent}  ${property}: ${declarations[property]};`)
+        .join("\n");
+      return `${indent}${scopedSelector} {\n${body}\n${indent}}`;
+    })
+    .join("\n\n");
+}
+
+// Selector mapper prefixing every class name, with the container standing in for body
+function prefixSelector(prefix) {
+  return (part) =>
+    part === "body"
+      ? `.${prefix}specs-container`
+      : part.replace(/\.([\w-]+)/g, `.${prefix}$1`);
+}
+
+// Generate the stylesheet embedded in the exported document
+function generateCardCSS(settings, indent, mapSelector) {
+  const rules = buildCardStyleRules(settings);
+  const inner = indent + "  ";
+
+  return `${serializeCSSRules(rules.base, indent, mapSelector)}
+
+${indent}@media (max-width: ${settings.breakpointTablet}px) {
+${serializeCSSRules(rules.tablet, inner, mapSelector)}
+${indent}}
+
+${indent}@media (max-width: ${settings.breakpointMobile}px) {
+${serializeCSSRules(rules.mobile, inner, mapSelector)}
+${indent}}
+
+${indent}@media print {
+${serializeCSSRules(rules.print, inner, mapSelector)}
+${indent}}${
+    // A fragment must not change how its host page is printed
+    mapSelector ? "" : "\n\n" + buildPageCSS(settings, indent)
+  }`;
+}
+
+// Collect the base declarations that apply to each card class, for inline styles.
+// Inline styles cannot carry media queries, so the grid wraps on a minimum card
+// width derived from the tablet breakpoint instead.
+function buildInlineStyles(settings) {
+  const rules = buildCardStyleRules(settings).base;
+  const styles = {};
+
+  CARD_CLASSES.forEach((className) => {
+    const declarations = {};
+    rules.forEach(([selector, ruleDeclarations]) => {
+      const parts = selector.split(",").map((part) => part.trim());
+      const matchesBody =
+        (className === "specs-container" || className === "spec-section") &&
+        parts.includes("body");
+      if (matchesBody || parts.includes("." + className)) {
+        Object.assign(declarations, ruleDeclarations);
+      }
+    });
+    styles[className] = declarations;
+  });
+
+  // Without media queries a span could overflow the wrapping grid
+  for (let span = 2; span <= MAX_CARD_SPAN; span++) {
+    delete styles[`spec-card--span-${span}`]["grid-column"];
+  }
+
+  const minCardWidth =
+    Math.floor(settings.breakpointTablet / (settings.columnsTablet + 1)) + 1;
+  const totalGap = (settings.columnsDesktop - 1) * settings.gap;
+  styles["specs-container"]["grid-template-columns"] =
+    `repeat(auto-fill, minmax(max(${minCardWidth}px, ` +
+    `calc((100% - ${totalGap}px) / ${settings.columnsDesktop})), 1fr))`;
+
+  Object.keys(styles).forEach((className) => {
+    styles[className] = Object.keys(styles[className])
+      .map((property) => `${property}: ${styles[className][property]}`)
+      .join("; ")
+      .replace(/"/g, "'");
+  });
+  return styles;
+}
+
+// Rewrite the card classes inside user content (e.g. mobile-br spans) for an export mode
+function mapContentClasses(html, classAttributes) {
+  return html.replace(/class="([^"]*)"/g, (match, classNames) => {
+    const className = classNames.trim();
+    return CARD_CLASSES.includes(className) ? classAttributes(className) : match;
+  });
+}
+
+// Generate a class prefix that is unlikely to clash with the host page
+function generateClassPrefix() {
+  return "sc" + Math.random().toString(36).slice(2, 6) + "-";
+}
+
+// Get the export settings with defaults filled in
+function getExportSettings() {
+  return Object.assign({}, DEFAULT_EXPORT_SETTINGS, exportSettings);
+}
+
+// Get the class names of a card element, including its style modifiers
+function getCardClassNames(card) {
+  const style = card.style || {};
+  const classNames = ["spec-card"];
+
+  if (style.highlight) {
+    classNames.push("spec-card--highlight");
+  }
+  if (style.align && style.align !== "center") {
+    classNames.push(`spec-card--align-${style.align}`);
+  }
+  if (style.span > 1) {
+    classNames.push(`spec-card--span-${style.span}`);
+  }
+  return classNames.join(" ");
+}
+
+// Get the inline style of a card header with custom colors
+function getCardHeaderStyle(card) {
+  const style = card.style || {};
+  const declarations = [];
+
+  if (style.headerBackground) {
+    declarations.push(`background-color: ${style.headerBackground}`);
+  }
+  if (style.headerTextColor) {
+    declarations.push(`color: ${style.headerTextColor}`);
+  }
+  return declarations.join("; ");
+}
+
+// Get the decimal separator of a language, "." if it is unknown
+function getDecimalSeparator(language) {
+  try {
+    const decimal = new Intl.NumberFormat(language)
+      .formatToParts(1.5)
+      .find((part) => part.type === "decimal");
+    return decimal ? decimal.value : ".";
+  } catch (error) {
+    return ".";
+  }
+}
+
+// Parse a number written with "." or "," as decimal or group separator. A lone
+// separator followed by exactly three digits (1,250 or 1.250) is read the way
+// the primary language writes decimals.
+function parseLocaleNumber(text) {
+  const separators = text.replace(/\d/g, "");
+  let decimalSeparator = "";
+
+  if (separators.includes(".") && separators.includes(",")) {
+    decimalSeparator = text[Math.max(text.lastIndexOf("."), text.lastIndexOf(","))];
+  } else if (separators.length === 1) {
+    const ambiguous = /^[1-9]\d{0,2}[.,]\d{3}$/.test(text);
+    if (!ambiguous || separators === getDecimalSeparator(getPrimaryLanguage())) {
+      decimalSeparator = separators;
+    }
+  }
+
+  const decimalIndex = decimalSeparator ? text.lastIndexOf(decimalSeparator) : text.length;
+  const integer = text.slice(0, decimalIndex).replace(/[.,]/g, "");
+  const fraction = text.slice(decimalIndex + 1);
+  return { value: parseFloat(`${integer}.${fraction || "0"}`), decimals: fraction.length };
+}
+
+// Parse the numbers of a measurement, keeping the separators between them
+function parseMeasurementNumbers(text) {
+  const numbers = [];
+  text.replace(/(\s*[x×–-]\s*|−)?(\d+(?:[.,]\d+)*)/g, (match, separator, digits) => {
+    const number = parseLocaleNumber(digits);
+    if (numbers.length === 0) {
+      // Before the first number a dash is a minus sign
+      number.value = separator ? -number.value : number.value;
+      number.separator = "";
+    } else {
+      number.separator = separator || "";
+    }
+    numbers.push(number);
+    return match;
+  });
+  return numbers;
+}
+
+// Format a number for a language, with the given decimals or rounded sensibly
+function formatNumber(value, language, decimals) {
+  const options =
+    decimals !== undefined
+      ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+      : Math.abs(value) >= 100
+      ? { maximumFractionDigits: 0 }
+      : { maximumSignificantDigits: 3 };
+  try {
+    return new Intl.NumberFormat(language, options).format(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+// Format the numbers of a measurement and convert it if the settings ask for
+// it. Returns the formatted numbers and the converted numbers and unit, if any.
+function formatMeasurement(numbersText, unit, language) {
+  const settings = getExportSettings();
+  const numbers = parseMeasurementNumbers(numbersText);
+  const result = {
+    numbers:
+      settings.numberFormat === "locale"
+        ? numbers
+            .map((number) => number.separator + formatNumber(number.value, language, number.decimals))
+            .join("")
+        : numbersText,
+    convertedNumbers: "",
+    convertedUnit: "",
+  };
+
+  const definition = UNITS[unit];
+  if (
+    settings.unitConversion !== "none" &&
+    definition &&
+    definition.to &&
+    definition.system !== settings.unitSystem
+  ) {
+    result.convertedNumbers = numbers
+      .map(
+        (number) =>
+          number.separator +
+          formatNumber(number.value * definition.factor + (definition.offset || 0), language)
+      )
+      .join("");
+    result.convertedUnit = definition.to;
+  }
+  return result;
+}
+
+// Get the pattern matching measurements in text: a number group and a unit
+function getMeasurementPattern() {
+  const units = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map((unit) => unit.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+  const space = "(?:\\s|&nbsp;|&#160;)";
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}.,])(${NUMBER_GROUP_PATTERN})(${space}*)(${units.join("|")})(?![\\p{L}\\p{N}²³])` +
+      // The second part of a compound measurement
+      `(?:(${space}+)(${NUMBER_PATTERN})(${space}*)(in|oz)(?![\\p{L}\\p{N}²³]))?`,
+    "gu"
+  );
+}
+
+// Format the measurements in a line of sanitized row markup for export.
+// Text that is not a number with a known unit is left untouched.
+function formatMeasurements(html, language) {
+  const settings = getExportSettings();
+  if (settings.numberFormat !== "locale" && settings.unitConversion === "none") {
+    return html;
+  }
+
+  const pattern = getMeasurementPattern();
+  const singleNumber = new RegExp(`^${NUMBER_PATTERN}$`);
+  const output = (original, measurement) => {
+    if (!measurement.convertedUnit) return original;
+    const converted = `${measurement.convertedNumbers} ${measurement.convertedUnit}`;
+    return settings.unitConversion === "swap" ? converted : `${original} (${converted})`;
+  };
+
+  const formatText = (text) =>
+    text.replace(
+      pattern,
+      (match, prefix, numbersText, space, unit, tailSpace, tailNumber, tailUnitSpace, tailUnit, offset) => {
+        const compound = COMPOUND_UNITS[unit];
+        if (tailUnit && compound && compound.unit === tailUnit && singleNumber.test(numbersText)) {
+          const major = formatMeasurement(numbersText, unit, language);
+          const minor = formatMeasurement(tailNumber, tailUnit, language);
+          const total =
+            parseLocaleNumber(numbersText).value * compound.factor +
+            parseLocaleNumber(tailNumber).value;
+          return (
+            prefix +
+            output(
+              `${major.numbers}${space}${unit}${tailSpace}${minor.numbers}${tailUnitSpace}${tailUnit}`,
+              formatMeasurement(String(total), tailUnit, language)
+            )
+          );
+        }
+
+        // Anything after a lone measurement is formatted on its own
+        const tail = tailUnit ? `${tailSpace}${tailNumber}${tailUnitSpace}${tailUnit}` : "";
+        const rest = text.slice(offset + match.length);
+        // "in" is also a word, as in "12 in white", but not before "x 4 in"
+        if (unit === "in" && !tail && /^\s+\p{L}/u.test(rest) && !/^\s+[x×]\s*\d/u.test(rest)) {
+          return match;
+        }
+        const measurement = formatMeasurement(numbersText, unit, language);
+        return (
+          prefix +
+          output(`${measurement.numbers}${space}${unit}`, measurement) +
+          (tail ? formatText(tail) : "")
+        );
+      }
+    );
+
+  return html
+    .split(/(<[^>]*>)/)
+    .map((part) => (part.startsWith("<") ? part : formatText(part)))
+    .join("");
+}
+
+// Generate the markup of a list of cards in a language. classAttributes builds
+// the attributes of an element from its class names and any extra inline style.
+function generateCardsHTML(cardList, classAttributes, language) {
+  return cardList
+    .map((card) => localizeCard(card, language))
+    .map((card) => {
+      const titleLines = getSanitizedLines(card.title).map((line) =>
+        mapContentClasses(line, classAttributes)
+      );
+      const contentLines = getSanitizedLines(card.rows).map((line) =>
+        mapContentClasses(formatMeasurements(line, language), classAttributes)
+      );
+      const image = generateCardImage(card, classAttributes);
+      const position = image ? card.image.position : null;
+
+      return `
+  <div ${classAttributes(getCardClassNames(card))}>${
+    position === "top" ? `\n    <div ${classAttributes("spec-media spec-media--top")}>${image}</div>` : ""
+  }
+    <div ${classAttributes("spec-header", getCardHeaderStyle(card))}>${
+      position === "header" ? generateCardImage(card, classAttributes, "spec-image spec-image--header") : ""
+    }${titleLines.join("<br />\n    ")}</div>
+    <div ${classAttributes("spec-content")}>${
+      position === "content" ? `\n      <div ${classAttributes("spec-media")}>${image}</div>` : ""
+    }
+      ${
+        card.rowMode === "pairs"
+          ? generatePairsHTML(card, classAttributes, language)
+          : contentLines.join("<br />\n      ")
+      }${
+        position === "bottom" ? `\n      <div ${classAttributes("spec-media")}>${image}</div>` : ""
+      }
+    </div>
+  </div>`;
+    })
+    .join("\n  ");
+}
+
+// Generate the definition list of a card in pair mode
+function generatePairsHTML(card, classAttributes, language) {
+  const listClasses =
+    "spec-pairs" + (card.pairLayout === "stacked" ? " spec-pairs--stacked" : "");
+  // User content keeps its mobile-br/mobile-hyphen classes in every export mode
+  const contentHTML = (value) => mapContentClasses(sanitizeInlineHTML(value), classAttributes);
+  const unitHTML = (unit) =>
+    unit ? ` <span ${classAttributes("spec-pair-unit")}>${contentHTML(unit)}</span>` : "";
+  const numbersPattern = new RegExp(`^${NUMBER_GROUP_PATTERN}$`);
+
+  const items = card.pairs
+    .filter((pair) => pair.label || pair.value || pair.unit)
+    .map((pair) => {
+      let value = mapContentClasses(
+        formatMeasurements(sanitizeInlineHTML(pair.value), language),
+        classAttributes
+      );
+      let unit = unitHTML(pair.unit);
+
+      // A plain number with its unit in the unit field is a measurement too
+      if (pair.unit && numbersPattern.test(pair.value)) {
+        const settings = getExportSettings();
+        const measurement = formatMeasurement(pair.value, pair.unit, language);
+        value = escapeInlineText(measurement.numbers);
+        if (measurement.convertedUnit && settings.unitConversion === "swap") {
+          value = escapeInlineText(measurement.convertedNumbers);
+          unit = unitHTML(measurement.convertedUnit);
+        } else if (measurement.convertedUnit) {
+          unit += escapeInlineText(
+            ` (${measurement.convertedNumbers} ${measurement.convertedUnit})`
+          );
+        }
+      }
+      return `<dt ${classAttributes("spec-pair-label")}>${contentHTML(pair.label)}</dt>
+        <dd ${classAttributes("spec-pair-value")}>${value}${unit}</dd>`;
+    });
+
+  return `<dl ${classAttributes(listClasses)}>
+        ${items.join("\n        ")}
+      </dl>`;
+}
+
+// Get the width of a card image as a whole number of pixels, or 0 for auto
+function getImageWidth(image) {
+  const width = parseInt(image.width);
+  return isNaN(width) ? 0 : Math.min(MAX_IMAGE_WIDTH, Math.max(8, width));
+}
+
+// Generate the <img> of a card, or an empty string if it has none
+function generateCardImage(card, classAttributes, classNames) {
+  const image = card.image;
+  if (!image || !image.src || !isSafeImageUrl(image.src)) return "";
+
+  return `<img ${classAttributes(classNames || "spec-image")} src="${escapeAttribute(image.src)}" alt="${escapeAttribute(
+    image.alt || ""
+  )}"${getImageWidth(image) ? ` width="${getImageWidth(image)}"` : ""} />`;
+}
+
+// Generate the markup of all cards and sections: runs of ungrouped cards share
+// a grid, every section gets its heading and a grid of its own. rootAttributes
+// are added to the top-level elements.
+function generateSpecsHTML(classAttributes, language, rootAttributes) {
+  const containerHTML = (cardList, attributes) => `<div ${classAttributes("specs-container")}${
+    attributes || ""
+  }>
+      ${generateCardsHTML(cardList, classAttributes, language)}
+    </div>`;
+  const blocks = [];
+  let ungroupedCards = [];
+
+  const flushUngroupedCards = () => {
+    if (ungroupedCards.length > 0) {
+      blocks.push(containerHTML(ungroupedCards, rootAttributes));
+      ungroupedCards = [];
+    }
+  };
+
+  cards.forEach((item) => {
+    if (!isSection(item)) {
+      ungroupedCards.push(item);
+      return;
+    }
+    flushUngroupedCards();
+    blocks.push(`<div ${classAttributes("spec-section")}${rootAttributes || ""}>
+    <h2 ${classAttributes("spec-section-heading")}>${sanitizeInlineHTML(
+      localizeHeading(item, language)
+    )}</h2>
+    ${containerHTML(item.cards)}
+    </div>`);
+  });
+  flushUngroupedCards();
+
+  return blocks.length > 0 ? blocks.join("\n    ") : containerHTML([], rootAttributes);
+}
+
+// Create the attribute builder for an export mode
+function createClassAttributes(prefix, inlineStyles) {
+  return (classNames, extraStyle) => {
+    const names = classNames.split(" ");
+    const style = (inlineStyles ? names.map((name) => inlineStyles[name]) : [])
+      .concat(extraStyle || [])
+      .filter((declarations) => declarations)
+      .join("; ");
+
+    return (
+      `class="${names.map((name) => prefix + name).join(" ")}"` +
+      (style ? ` style="${style}"` : "")
+    );
+  };
+}
+
+// Generate HTML code in the given export mode and language (defaulting to the
+// project's mode and the language shown in the editor)
+function generateHTML(mode, language) {
+  const settings = getExportSettings();
+  mode = EXPORT_MODES[mode] ? mode : settings.exportMode;
+  language = language || getActiveLanguage();
+
+  // Build the class (and for inline mode style) attributes of a card element
+  const prefix = mode === "fragment" ? settings.classPrefix : "";
+  const inlineStyles = mode === "inline" ? buildInlineStyles(settings) : null;
+  const classAttributes = createClassAttributes(prefix, inlineStyles);
+
+  // Fragments carry their language themselves, documents on <html>
+  const containerHTML = generateSpecsHTML(
+    classAttributes,
+    language,
+    mode === "document" ? "" : ` lang="${escapeAttribute(language)}"`
+  );
+
+  if (mode === "inline") {
+    return containerHTML;
+  }
+
+  if (mode === "fragment") {
+    return `<style>
+${generateCardCSS(settings, "  ", prefixSelector(prefix))}
+</style>
+${containerHTML}`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta
+      name="viewport"
+      content="width=device-width, initial-scale=1.0, maximum-scale=1.0"
+    />
+    <style>
+${generateCardCSS(settings, "      ")}
+    </style>
+  </head>
+  <body>
+    ${containerHTML}
+  </body>
+</html>`;
+}
+
+// Update preview
+function updatePreview() {
+  // Updates made by a running command are shown once it has finished
+  if (commandDepth > 0) return;
+
+  renderPreviewFrame();
+  updateCodeEditor();
+  updateTranslationStatus();
+  updateFindResults();
+  updatePreviewSize();
+  if (currentViewport === "all") {
+    renderMultiPreview();
+  }
+}
+
+// Render the exact export in the sandboxed preview frame, so that the preview
+// is what ships and pasted markup cannot reach the editor
+function renderPreviewFrame() {
+  let frame = document.getElementById("previewFrame");
+  if (!frame) {
+    frame = createPreviewFrame("", null, "Preview");
+    frame.id = "previewFrame";
+    document.getElementById("previewArea").appendChild(frame);
+  }
+
+  // Reloading an unchanged document would only make the preview flicker
+  const html = buildPreviewDocument();
+  if (frame.srcdoc !== html) {
+    frame.srcdoc = html;
+  }
+}
+
+// Size the preview for the current viewport
+function updatePreviewSize() {
+  const previewContainer = document.getElementById("previewContainer");
+  const width = getViewportWidth(currentViewport);
+
+  // Simulated devices get their exact width, zoomed out when asked to
+  previewContainer.style.width = width ? width + "px" : "";
+  previewContainer.style.maxWidth = width ? "none" : "";
+  previewContainer.style.zoom = width ? getZoomFactor(width) : "";
+
+  // The frame content reflows at the new width
+  const frame = document.getElementById("previewFrame");
+  if (frame) {
+    fitFrameHeight(frame);
+  }
+  updateViewportControls();
+}
+
+// Normalize the value of an export setting. Returns { value }, or { error }
+// when the value cannot be used.
+function normalizeExportSetting(key, value) {
+  const field = EXPORT_SETTING_FIELDS.find((f) => f.key === key);
+  if (!field) {
+    return { error: `Unknown setting "${key}"` };
+  }
+
+  if (field.type === "number") {
+    const number = parseInt(value);
+    if (isNaN(number)) {
+      return { error: `${field.label} must be a number` };
+    }
+    return { value: Math.min(field.max, Math.max(field.min, number)) };
+  }
+  if (field.type === "select") {
+    return Object.prototype.hasOwnProperty.call(field.options, value)
+      ? { value: value }
+      : { error: `Unknown ${field.label.toLowerCase()} "${value}"` };
+  }
+  if (key === "lang") {
+    value = String(value).trim().toLowerCase();
+    return LANGUAGE_CODE_PATTERN.test(value)
+      ? { value: value }
+      : { error: `Not a language code: ${value}` };
+  }
+  if (key === "languages") {
+    const codes = String(value)
+      .toLowerCase()
+      .split(/[\s,;]+/)
+      .filter((code) => code);
+    const invalid = codes.filter((code) => !LANGUAGE_CODE_PATTERN.test(code));
+    if (invalid.length > 0) {
+      return { error: `Not a language code: ${invalid.join(", ")}` };
+    }
+    return { value: codes.filter((code, index) => codes.indexOf(code) === index).join(", ") };
+  }
+  if (key === "classPrefix") {
+    value = String(value).trim().toLowerCase().replace(/[^a-z0-9-]/g, "");
+    return /^[a-z][a-z0-9]*-$/.test(value)
+      ? { value: value }
+      : { error: "Class prefix must be letters/digits ending in '-'" };
+  }
+
+  // Keep values from breaking out of their CSS declaration
+  value = String(value).replace(/[{}<>;"]/g, "").trim();
+  return { value: value || DEFAULT_EXPORT_SETTINGS[key] };
+}
+
+// Change one export setting of the active project
+function updateExportSetting(key, value) {
+  const field = EXPORT_SETTING_FIELDS.find((f) => f.key === key);
+  if (!field) return;
+
+  // A cleared number field goes back to its default
+  if (field.type === "number" && isNaN(parseInt(value))) {
+    value = DEFAULT_EXPORT_SETTINGS[key];
+  }
+  const normalized = normalizeExportSetting(key, value);
+  if (normalized.error) {
+    showToast(normalized.error, "error");
+    renderExportSettingsForm();
+    return;
+  }
+  value = normalized.value;
+
+  const previousLanguage = getPrimaryLanguage();
+  executeCommand("change export settings", () => {
+    if (key === "lang" && value !== previousLanguage && hasTranslations(value)) {
+      swapPrimaryLanguage(previousLanguage, value);
+    }
+    exportSettings = Object.assign({}, getExportSettings(), { [key]: value });
+  });
+  if (key === "lang" || key === "languages") {
+    renderEditor();
+  }
+  updatePreview();
+  renderExportSettingsForm();
+}
+
+// Restore the default export settings (keeping the project's class prefix)
+function resetExportSettings() {
+  executeCommand("reset export settings", () => {
+    exportSettings = Object.assign({}, DEFAULT_EXPORT_SETTINGS, {
+      classPrefix: exportSettings.classPrefix,
+    });
+  });
+  updatePreview();
+  renderExportSettingsForm();
+}
+
+// Render the export settings form into the open modal
+function renderExportSettingsForm() {
+  const form = document.getElementById("exportSettingsForm");
+  if (!form) return;
+
+  const settings = getExportSettings();
+  const fields = EXPORT_SETTING_FIELDS.filter(
+    (field) => !form.dataset.group || field.group === form.dataset.group
+  );
+  form.innerHTML = fields.map((field) => {
+    const control =
+      field.type === "select"
+        ? `<select class="form-control" id="setting-${field.key}"
+                   onchange="updateExportSetting('${field.key}', this.value)">
+                ${Object.keys(field.options)
+                  .map(
+                    (option) =>
+                      `<option value="${option}"${
+                        settings[field.key] === option ? " selected" : ""
+                      }>${escapeHtml(field.options[option])}</option>`
+                  )
+                  .join("")}
+            </select>`
+        : `<input class="form-control" id="setting-${field.key}" type="${field.type}"
+                   ${field.min !== undefined ? `min="${field.min}" max="${field.max}"` : ""}
+                   value="${escapeHtml(String(settings[field.key]))}"
+                   onchange="updateExportSetting('${field.key}', this.value)" />`;
+    return `
+        <div class="form-group">
+            <label for="setting-${field.key}">${field.label}:</label>
+            ${control}
+        </div>`;
+  }).join("");
+}
+
+// Open the export settings panel
+function openExportSettings() {
+  openModal(
+    "Export Settings",
+    `<div class="settings-grid" id="exportSettingsForm"></div>`,
+    `<button class="btn btn-secondary" onclick="resetExportSettings()">Reset to defaults</button>
+     <button class="btn" onclick="closeModal()">Done</button>`
+  );
+  renderExportSettingsForm();
+}
+
+// Open the download and print panel
+function openPrintDialog() {
+  openModal(
+    "Download & Print",
+    `<div class="settings-grid" id="exportSettingsForm" data-group="print"></div>
+    <p class="print-hint">
+        Cards are never split across pages. To create a PDF, choose
+        "Save as PDF" as the printer in the print dialog.
+    </p>`,
+    `${
+      getProjectLanguages().length > 1
+        ? `<button class="btn btn-secondary" onclick="downloadAllLanguages()">Download all languages</button>`
+        : ""
+    }
+     <button class="btn btn-secondary" onclick="downloadHTML()">Download .html</button>
+     <button class="btn" onclick="printSpecSheet()">Print / Save as PDF</button>`
+  );
+  renderExportSettingsForm();
+}
+
+// Download the spec sheet as a standalone HTML file in the language shown
+function downloadHTML() {
+  const language = getActiveLanguage();
+  downloadFile(getLanguageFileName(language), buildPreviewDocument(language), "text/html");
+  showToast(`HTML file downloaded (${language.toUpperCase()})`, "success");
+}
+
+// Download one HTML file per project language
+function downloadAllLanguages() {
+  const languages = getProjectLanguages();
+  languages.forEach((language) => {
+    downloadFile(getLanguageFileName(language), buildPreviewDocument(language), "text/html");
+  });
+  showToast(`${languages.length} HTML files downloaded`, "success");
+}
+
+// File name of an HTML export, tagged with its language in multilingual projects
+function getLanguageFileName(language) {
+  const fileName = getExportFileName("html");
+  return getProjectLanguages().length > 1
+    ? fileName.replace(/\.html$/, `.${language}.html`)
+    : fileName;
+}
+
+// Print the spec sheet (or save it as PDF) from a hidden frame holding the export
+function printSpecSheet() {
+  const settings = getExportSettings();
+  let html = buildPreviewDocument();
+
+  // Fragments carry no page setup of their own
+  if (settings.exportMode !== "document") {
+    html = html.replace("</head>", `<style>\n${buildPageCSS(settings, "")}\n</style>\n</head>`);
+  }
+
+  const frame = document.createElement("iframe");
+  frame.className = "print-frame";
+  frame.setAttribute("sandbox", "allow-same-origin allow-modals");
+  frame.setAttribute("aria-hidden", "true");
+
+  frame.addEventListener("load", function () {
+    // Browsers name the PDF after the page title
+    const appTitle = document.title;
+    document.title = getExportFileName("html").replace(/\.html$/, "");
+    const cleanUp = () => {
+      document.title = appTitle;
+      frame.remove();
+    };
+
+    frame.contentWindow.addEventListener("afterprint", () => setTimeout(cleanUp, 0));
+    try {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+    } catch (error) {
+      cleanUp();
+      showToast("Printing is not available: " + error.message, "error");
+      return;
+    }
+    // Not every browser fires afterprint for frames
+    setTimeout(() => {
+      if (frame.isConnected) cleanUp();
+    }, 60000);
+  });
+
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+// Open the shared modal dialog
+function openModal(title, bodyHTML, footerHTML) {
+  document.getElementById("modalTitle").textContent = title;
+  document.getElementById("modalBody").innerHTML = bodyHTML;
+  document.getElementById("modalFooter").innerHTML = footerHTML || "";
+  document.getElementById("modalOverlay").classList.add("show");
+}
+
+// Close the shared modal dialog
+function closeModal() {
+  document.getElementById("modalOverlay").classList.remove("show");
+  document.getElementById("modalBody").innerHTML = "";
+  document.getElementById("modalFooter").innerHTML = "";
+}
+
+// Project storage - every named project keeps its own cards, counter and export settings
+const PROJECTS_KEY = "specProjects";
+let projectStore = null;
+
+// Convert old array format to new string format
+function normalizeCards(cardList) {
+  cardList.forEach((card) => {
+    if (isSection(card)) {
+      normalizeCards(card.cards);
+      return;
+    }
+    if (Array.isArray(card.title)) {
+      card.title = card.title.join("\n");
+    }
+    if (Array.isArray(card.rows)) {
+      card.rows = card.rows.join("\n");
+    }
+  });
+  return cardList;
+}
+
+// Create a project object
+function createProjectObject(name, projectCards, counter) {
+  return {
+    id: ++projectStore.projectIdCounter,
+    name: name,
+    cards: projectCards,
+    cardIdCounter: counter,
+    exportSettings: {},
+    savedAt: null,
+  };
+}
+
+// Read all projects from localStorage, migrating the old single-slot data
+function loadProjectStore() {
+  try {
+    const savedStore = localStorage.getItem(PROJECTS_KEY);
+    if (savedStore) {
+      projectStore = JSON.parse(savedStore);
+      projectStore.projects.forEach((project) => normalizeCards(project.cards));
+    }
+  } catch (e) {
+    console.error("Error loading projects:", e);
+    projectStore = null;
+  }
+
+  if (projectStore && projectStore.projects.length > 0) {
+    projectStore.library = projectStore.library || [];
+    projectStore.libraryIdCounter = projectStore.libraryIdCounter || 0;
+    projectStore.importProfiles = projectStore.importProfiles || [];
+    projectStore.importProfileIdCounter = projectStore.importProfileIdCounter || 0;
+    return;
+  }
+
+  projectStore = {
+    activeProjectId: null,
+    projectIdCounter: 0,
+    projects: [],
+    library: [],
+    libraryIdCounter: 0,
+    importProfiles: [],
+    importProfileIdCounter: 0,
+  };
+  let project;
+
+  try {
+    const legacyCards = localStorage.getItem("specCards");
+    const legacyCounter = localStorage.getItem("cardIdCounter");
+    project = createProjectObject(
+      "Default",
+      legacyCards ? normalizeCards(JSON.parse(legacyCards)) : [],
+      legacyCounter ? parseInt(legacyCounter) : 0
+    );
+    if (legacyCards) {
+      project.savedAt = Date.now();
+    }
+  } catch (e) {
+    console.error("Error migrating saved cards:", e);
+    project = createProjectObject("Default", [], 0);
+  }
+
+  projectStore.projects.push(project);
+  projectStore.activeProjectId = project.id;
+  persistProjectStore();
+  localStorage.removeItem("specCards");
+  localStorage.removeItem("cardIdCounter");
+}
+
+// Write all projects to localStorage; reports whether the write succeeded
+function persistProjectStore() {
+  try {
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify(projectStore));
+    return true;
+  } catch (e) {
+    console.error("Error saving projects:", e);
+    showToast("Storage is full - remove embedded images or delete unused projects", "error");
+    return false;
+  }
+}
+
+// Get the project currently being edited
+function getActiveProject() {
+  return projectStore.projects.find(
+    (project) => project.id === projectStore.activeProjectId
+  );
+}
+
+// Make another project the active one and load its cards
+function activateProject(projectId) {
+  projectStore.activeProjectId = projectId;
+  persistProjectStore();
+
+  const project = getActiveProject();
+
+  // Every project gets its own stable class prefix for fragment exports
+  if (!project.exportSettings.classPrefix) {
+    project.exportSettings.classPrefix = generateClassPrefix();
+    persistProjectStore();
+  }
+
+  cards = JSON.parse(JSON.stringify(project.cards));
+  cardIdCounter = project.cardIdCounter;
+  exportSettings = Object.assign({}, DEFAULT_EXPORT_SETTINGS, project.exportSettings);
+
+  // Add a default card if none exist
+  if (cards.length === 0) {
+    cards.push(createDefaultCard());
+  }
+  markClean();
+  offerAutosaveRecovery(project);
+
+  // Manual code edits belong to the project being left
+  codeEditedManually = false;
+  renderEditor();
+  updatePreview();
+  renderProjectSelect();
+  updateButtonVisibility();
+  updateDirtyIndicator();
+  resetHistory();
+}
+
+// Ask before throwing away unsaved changes of the active project
+function confirmLeaveProject() {
+  if (!isDirty()) return true;
+
+  const project = getActiveProject();
+  if (!confirm(`"${project.name}" has unsaved changes that will be lost. Continue?`)) {
+    return false;
+  }
+  clearAutosave(project.id);
+  return true;
+}
+
+// Fill the project dropdown
+function renderProjectSelect() {
+  const projectSelect = document.getElementById("projectSelect");
+  if (!projectSelect) return;
+
+  projectSelect.innerHTML = projectStore.projects
+    .map(
+      (project) =>
+        `<option value="${project.id}"${
+          project.id === projectStore.activeProjectId ? " selected" : ""
+        }>${escapeHtml(project.name)}</option>`
+    )
+    .join("");
+}
+
+// Switch to another project
+function switchProject(projectId) {
+  projectId = parseInt(projectId);
+  if (projectId === projectStore.activeProjectId) return;
+
+  if (!confirmLeaveProject()) {
+    renderProjectSelect();
+    return;
+  }
+  activateProject(projectId);
+  showToast(`Switched to "${getActiveProject().name}"`, "info");
+}
+
+// Create a new empty project
+function createProject() {
+  const name = prompt("Name of the new project:", "New Project");
+  if (!name || !name.trim()) return;
+  if (!confirmLeaveProject()) return;
+
+  const project = createProjectObject(name.trim(), [], 0);
+  projectStore.projects.push(project);
+  activateProject(project.id);
+  showToast(`Created project "${project.name}"`, "success");
+}
+
+// Rename the active project
+function renameProject() {
+  const project = getActiveProject();
+  const name = prompt("New project name:", project.name);
+  if (!name || !name.trim()) return;
+
+  project.name = name.trim();
+  persistProjectStore();
+  renderProjectSelect();
+}
+
+// Duplicate the active project including its unsaved changes
+function duplicateProject() {
+  const source = getActiveProject();
+  const name = prompt("Name of the copy:", source.name + " (copy)");
+  if (!name || !name.trim()) return;
+
+  const project = createProjectObject(
+    name.trim(),
+    JSON.parse(JSON.stringify(cards)),
+    cardIdCounter
+  );
+  project.exportSettings = Object.assign({}, exportSettings);
+  project.savedAt = Date.now();
+  projectStore.projects.push(project);
+  activateProject(project.id);
+  showToast(`Duplicated as "${project.name}"`, "success");
+}
+
+// Delete the active project
+function deleteProject() {
+  const project = getActiveProject();
+  if (!confirm(`Delete project "${project.name}" and all its cards?`)) return;
+  clearAutosave(project.id);
+
+  projectStore.projects = projectStore.projects.filter(
+    (p) => p.id !== project.id
+  );
+
+  // Always keep at least one project around
+  if (projectStore.projects.length === 0) {
+    projectStore.projects.push(createProjectObject("Default", [], 0));
+  }
+
+  activateProject(projectStore.projects[0].id);
+  showToast(`Deleted project "${project.name}"`, "success");
+}
+
+// Card library - reusable card templates shared by all projects. Templates live
+// in the project store but outside the history, so undo never removes them.
+
+// Get the plain text of a title or row field
+function getPlainText(value) {
+  return getFieldLines(value)
+    .map((line) => parseHTMLFragment(line).textContent.trim())
+    .filter((line) => line)
+    .join(" ");
+}
+
+// Save cards to the library as templates
+function saveCardsToLibrary(cardIds) {
+  const sourceCards = cardIds.map(findCard).filter((card) => card);
+  if (sourceCards.length === 0) return;
+
+  let name = "";
+  if (sourceCards.length === 1) {
+    name = prompt(
+      "Template name:",
+      getPlainText(sourceCards[0].title) || `Card ${sourceCards[0].id}`
+    );
+    if (!name || !name.trim()) return;
+  }
+
+  sourceCards.forEach((card) => {
+    const template = JSON.parse(JSON.stringify(card));
+    delete template.id;
+    projectStore.library.push({
+      id: ++projectStore.libraryIdCounter,
+      name: name.trim() || getPlainText(card.title) || `Card ${card.id}`,
+      card: template,
+      createdAt: Date.now(),
+    });
+  });
+  if (!persistProjectStore()) return;
+  showToast(
+    sourceCards.length === 1
+      ? `Saved "${projectStore.library[projectStore.library.length - 1].name}" to the library`
+      : `Saved ${sourceCards.length} cards to the library`,
+    "success"
+  );
+}
+
+// Save the selected cards to the library
+function saveSelectedToLibrary() {
+  saveCardsToLibrary(getSelectedCardIds());
+}
+
+// Open the card library
+function openCardLibrary() {
+  const sectionOptions = cards
+    .filter(isSection)
+    .map(
+      (section) =>
+        `<option value="${section.id}">${escapeHtml(section.heading)}</option>`
+    )
+    .join("");
+
+  openModal(
+    "Card Library",
+    `<div class="form-group">
+        <input class="form-control" type="search" id="librarySearch"
+               placeholder="Search templates..." oninput="renderLibraryList()" />
+    </div>
+    <div class="form-group">
+        <label for="libraryTarget">Insert into:</label>
+        <select class="form-control" id="libraryTarget">
+            <option value="">Ungrouped cards</option>
+            ${sectionOptions}
+        </select>
+    </div>
+    <div class="library-list" id="libraryList"></div>`
+  );
+  renderLibraryList();
+}
+
+// Render the templates matching the search
+function renderLibraryList() {
+  const list = document.getElementById("libraryList");
+  if (!list) return;
+
+  const query = document.getElementById("librarySearch").value.trim().toLowerCase();
+  const templates = projectStore.library.filter((template) =>
+    [template.name, getPlainText(template.card.title), getPlainText(template.card.rows)]
+      .join(" ")
+      .toLowerCase()
+      .includes(query)
+  );
+
+  if (templates.length === 0) {
+    list.innerHTML = `<p class="library-empty">${
+      projectStore.library.length === 0
+        ? "The library is empty. Use ☆ on a card to save it as a template."
+        : "No templates match your search."
+    }</p>`;
+    return;
+  }
+
+  list.innerHTML = templates
+    .map(
+      (template) => `
+        <div class="library-item">
+            <div class="library-item-text">
+                <strong>${escapeHtml(template.name)}</strong>
+                <small>${escapeHtml(getPlainText(template.card.rows))}</small>
+            </div>
+            <button class="btn btn-primary btn-sm" onclick="insertTemplate(${template.id})">Insert</button>
+            <button class="btn btn-secondary btn-sm" onclick="renameTemplate(${template.id})">Rename</button>
+            <button class="btn btn-danger btn-sm" onclick="deleteTemplate(${template.id})">×</button>
+        </div>`
+    )
+    .join("");
+}
+
+// Find a library template by id
+function findTemplate(templateId) {
+  return projectStore.library.find((template) => template.id === templateId);
+}
+
+// Insert a copy of a template into the current cards
+function insertTemplate(templateId) {
+  const template = findTemplate(templateId);
+  if (!template) return;
+
+  const targetSelect = document.getElementById("libraryTarget");
+  const section =
+    targetSelect && targetSelect.value
+      ? findSection(parseInt(targetSelect.value))
+      : null;
+
+  executeCommand("insert template", () => {
+    const card = JSON.parse(JSON.stringify(template.card));
+    card.id = ++cardIdCounter;
+    (section ? section.cards : cards).push(card);
+  });
+  renderEditor();
+  updatePreview();
+  showToast(`Inserted "${template.name}"`, "success");
+}
+
+// Rename a library template
+function renameTemplate(templateId) {
+  const template = findTemplate(templateId);
+  if (!template) return;
+
+  const name = prompt("Template name:", template.name);
+  if (!name || !name.trim()) return;
+
+  template.name = name.trim();
+  persistProjectStore();
+  renderLibraryList();
+}
+
+// Delete a library template
+function deleteTemplate(templateId) {
+  const template = findTemplate(templateId);
+  if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+
+  projectStore.library = projectStore.library.filter(
+    (item) => item.id !== templateId
+  );
+  persistProjectStore();
+  renderLibraryList();
+}
+
+// Save data to the active project
+function saveData() {
+  try {
+    const project = getActiveProject();
+    project.cards = JSON.parse(JSON.stringify(cards));
+    project.cardIdCounter = cardIdCounter;
+    project.exportSettings = Object.assign({}, exportSettings);
+    project.savedAt = Date.now();
+    if (!persistProjectStore()) return;
+    markClean();
+    clearAutosave(project.id);
+    updateDirtyIndicator();
+    showToast("Data saved successfully!", "success");
+    updateButtonVisibility();
+  } catch (e) {
+    showToast("Error saving data: " + e.message, "error");
+  }
+}
+
+// Load data from the active project
+function loadData() {
+  try {
+    const project = getActiveProject();
+    if (!project.savedAt) return;
+
+    if (
+      isDirty() &&
+      !confirm("Discard your unsaved changes and load the last saved version?")
+    ) {
+      return;
+    }
+
+    const loadedCards = JSON.parse(JSON.stringify(project.cards));
+    executeCommand("load saved cards", () => {
+      cards = loadedCards;
+      cardIdCounter = project.cardIdCounter;
+      exportSettings = Object.assign(
+        {},
+        DEFAULT_EXPORT_SETTINGS,
+        project.exportSettings
+      );
+    });
+    markClean();
+    clearAutosave(project.id);
+    updateDirtyIndicator();
+
+    renderEditor();
+    updatePreview();
+  } catch (e) {
+    console.error("Error loading data:", e);
+    showToast("Error loading data: " + e.message, "error");
+  }
+}
+
+// Clear all data
+function clearAll() {
+  if (confirm("Are you sure you want to clear all cards?")) {
+    executeCommand("clear all", () => {
+      cards = [];
+      cardIdCounter = 0;
+    });
+    renderEditor();
+    updatePreview();
+
+    const project = getActiveProject();
+    project.cards = [];
+    project.cardIdCounter = 0;
+    project.exportSettings = Object.assign({}, exportSettings);
+    project.savedAt = null;
+    persistProjectStore();
+    markClean();
+    clearAutosave(project.id);
+    updateDirtyIndicator();
+    updateButtonVisibility();
+  }
+}
+
+// Toggle between preview and code view
+function toggleView(event) {
+  isCodeView = !isCodeView;
+  const previewArea = document.getElementById("previewArea");
+  const codeArea = document.getElementById("codeArea");
+  const toggleBtn = event.target;
+
+  if (isCodeView) {
+    previewArea.style.display = "none";
+    codeArea.style.display = "block";
+    toggleBtn.textContent = "Show Preview";
+  } else {
+    previewArea.style.display = "block";
+    codeArea.style.display = "none";
+    toggleBtn.textContent = "Toggle Code View";
+  }
+}
+
+// Layouts of the preview panel: one view at a time next to the editor, preview
+// and code side by side without the editor, or side by side next to the editor
+const LAYOUT_KEY = "specLayout";
+const LAYOUT_MODES = ["single", "split", "triple"];
+const MIN_SPLIT_RATIO = 0.2;
+const MAX_SPLIT_RATIO = 0.8;
+let layout = { mode: "single", ratio: 0.5 };
+
+// Restore the layout of the last session
+function loadLayout() {
+  try {
+    const savedLayout = JSON.parse(localStorage.getItem(LAYOUT_KEY));
+    if (savedLayout && LAYOUT_MODES.includes(savedLayout.mode)) {
+      layout.mode = savedLayout.mode;
+    }
+    if (savedLayout && typeof savedLayout.ratio === "number") {
+      layout.ratio = savedLayout.ratio;
+    }
+  } catch (e) {
+    console.error("Error loading layout:", e);
+  }
+  applyLayout();
+  attachDividerHandlers();
+}
+
+// Remember the layout for the next session
+function persistLayout() {
+  localStorage.setItem(LAYOUT_KEY, JSON.stringify(layout));
+}
+
+// Show the current layout
+function applyLayout() {
+  const ratio = Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, layout.ratio));
+  LAYOUT_MODES.forEach((mode) => {
+    document.body.classList.toggle("layout-" + mode, mode === layout.mode);
+  });
+  document.getElementById("previewContent").style.setProperty("--split-ratio", ratio);
+
+  const divider = document.getElementById("splitDivider");
+  divider.setAttribute("aria-valuenow", Math.round(ratio * 100));
+
+  const layoutSelect = document.getElementById("layoutSelect");
+  if (layoutSelect) {
+    layoutSelect.value = layout.mode;
+  }
+}
+
+// Switch the layout
+function setLayout(mode) {
+  if (!LAYOUT_MODES.includes(mode)) return;
+  layout.mode = mode;
+  applyLayout();
+  persistLayout();
+
+  // The code may have been hidden while cards changed
+  if (mode !== "single") {
+    refreshCodeEditor();
+  }
+}
+
+// Resize the preview and code panes
+function setSplitRatio(ratio) {
+  layout.ratio = Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, ratio));
+  applyLayout();
+}
+
+// Drag (or use the arrow keys on) the divider between preview and code
+function attachDividerHandlers() {
+  const divider = document.getElementById("splitDivider");
+  const previewContent = document.getElementById("previewContent");
+
+  divider.addEventListener("pointerdown", function (e) {
+    e.preventDefault();
+    divider.setPointerCapture(e.pointerId);
+    divider.classList.add("dragging");
+  });
+
+  divider.addEventListener("pointermove", function (e) {
+    if (!divider.hasPointerCapture(e.pointerId)) return;
+    const rect = previewContent.getBoundingClientRect();
+    setSplitRatio((e.clientX - rect.left) / rect.width);
+  });
+
+  const endDrag = function (e) {
+    if (!divider.hasPointerCapture(e.pointerId)) return;
+    divider.releasePointerCapture(e.pointerId);
+    divider.classList.remove("dragging");
+    persistLayout();
+  };
+  divider.addEventListener("pointerup", endDrag);
+  divider.addEventListener("pointercancel", endDrag);
+
+  divider.addEventListener("keydown", function (e) {
+    const steps = { ArrowLeft: -0.05, ArrowRight: 0.05 };
+    if (!steps[e.key]) return;
+    e.preventDefault();
+    setSplitRatio(layout.ratio + steps[e.key]);
+    persistLayout();
+  });
+
+  // Double-click puts the divider back in the middle
+  divider.addEventListener("dblclick", function () {
+    setSplitRatio(0.5);
+    persistLayout();
+  });
+}
+
+// Copy code from textarea to clipboard
+function copyFromTextarea() {
+  const codeTextarea = document.getElementById("codeTextarea");
+  const copyBtn = document.querySelector(".copy-btn");
+
+  if (navigator.clipboard && window.isSecureContext) {
+    // Use modern clipboard API
+    navigator.clipboard
+      .writeText(codeTextarea.value)
+      .then(function () {
+        showCopyFeedback(copyBtn);
+      })
+      .catch(function (err) {
+        console.error("Could not copy text: ", err);
+        fallbackCopyText(codeTextarea.value, copyBtn);
+      });
+  } else {
+    // Fallback for older browsers or non-secure contexts
+    fallbackCopyText(codeTextarea.value, copyBtn);
+  }
+}
+
+// Fallback copy method
+function fallbackCopyText(text, copyBtn) {
+  const textArea = document.createElement("textarea");
+  textArea.value = text;
+  textArea.style.position = "fixed";
+  textArea.style.left = "-999999px";
+  textArea.style.top = "-999999px";
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
+
+  try {
+    document.execCommand("copy");
+    showCopyFeedback(copyBtn);
+  } catch (err) {
+    console.error("Fallback: Could not copy text: ", err);
+  }
+
+  document.body.removeChild(textArea);
+}
+
+// Show copy feedback
+function showCopyFeedback(copyBtn) {
+  const originalText = copyBtn.textContent;
+  copyBtn.textContent = "Copied!";
+  copyBtn.classList.add("copied");
+
+  setTimeout(function () {
+    copyBtn.textContent = originalText;
+    copyBtn.classList.remove("copied");
+  }, 2000);
+}
+
+// Set viewport for preview
+function setViewport(viewport) {
+  currentViewport = viewport;
+  const previewContainer = document.getElementById("previewContainer");
+  const viewportButtons = document.querySelectorAll(".viewport-btn:not(.viewport-toggle)");
+
+  // Update container class
+  previewContainer.className = "preview-container " + viewport;
+  updatePreviewSize();
+
+  // "All" shows every device width at once in isolated frames
+  const multiPreview = document.getElementById("multiPreview");
+  multiPreview.style.display = viewport === "all" ? "flex" : "none";
+  previewContainer.style.display = viewport === "all" ? "none" : "";
+  if (viewport === "all") {
+    renderMultiPreview();
+  } else {
+    multiPreview.innerHTML = "";
+  }
+
+  // Update active button
+  viewportButtons.forEach((btn) => {
+    btn.classList.remove("active");
+    if (btn.textContent.trim().toLowerCase() === viewport) {
+      btn.classList.add("active");
+    }
+  });
+}
+
+// Device presets: portrait width from the breakpoints, height from the aspect ratio
+const DEVICE_ASPECT_RATIOS = { tablet: 4 / 3, mobile: 16 / 9 };
+const DESKTOP_PREVIEW_WIDTH = 1280;
+const MIN_VIEWPORT_WIDTH = 200;
+const MAX_VIEWPORT_WIDTH = 3840;
+
+// Get the simulated width of a viewport in pixels (null fills the panel)
+function getViewportWidth(viewport) {
+  const settings = getExportSettings();
+  if (viewport === "custom") {
+    return viewportOptions.customWidth;
+  }
+  if (!DEVICE_ASPECT_RATIOS[viewport]) {
+    return null;
+  }
+
+  const width =
+    viewport === "tablet" ? settings.breakpointTablet : settings.breakpointMobile;
+  return viewportOptions.rotated
+    ? Math.round(width * DEVICE_ASPECT_RATIOS[viewport])
+    : width;
+}
+
+// Get the zoom factor of a simulated device; "fit" zooms out to the panel width
+function getZoomFactor(width) {
+  if (viewportOptions.zoom !== "fit") {
+    return parseFloat(viewportOptions.zoom);
+  }
+  const previewContent = document.getElementById("previewContent");
+  const available = previewContent.clientWidth - 40;
+  return available > 0 && width > available ? available / width : 1;
+}
+
+// Preview at a custom pixel width
+function setCustomWidth(value) {
+  const width = parseInt(value);
+  if (isNaN(width) || width < MIN_VIEWPORT_WIDTH || width > MAX_VIEWPORT_WIDTH) {
+    showToast(
+      `Width must be between ${MIN_VIEWPORT_WIDTH} and ${MAX_VIEWPORT_WIDTH} px`,
+      "error"
+    );
+    updateViewportControls();
+    return;
+  }
+  viewportOptions.customWidth = width;
+  setViewport(currentViewport === "all" ? "all" : "custom");
+}
+
+// Switch the simulated tablet or phone between portrait and landscape
+function toggleRotation() {
+  viewportOptions.rotated = !viewportOptions.rotated;
+  setViewport(currentViewport);
+}
+
+// Change the zoom of the simulated devices
+function setZoom(value) {
+  viewportOptions.zoom = value;
+  setViewport(currentViewport);
+}
+
+// Reflect the viewport options in the header controls
+function updateViewportControls() {
+  const widthInput = document.getElementById("viewportWidth");
+  const rotateBtn = document.getElementById("rotateBtn");
+  const zoomSelect = document.getElementById("zoomSelect");
+  if (!widthInput) return;
+
+  const width = getViewportWidth(currentViewport);
+  if (document.activeElement !== widthInput) {
+    widthInput.value = width || viewportOptions.customWidth || "";
+  }
+  rotateBtn.disabled = !DEVICE_ASPECT_RATIOS[currentViewport] && currentViewport !== "all";
+  rotateBtn.classList.toggle("active", viewportOptions.rotated);
+  zoomSelect.value = viewportOptions.zoom;
+}
+
+// Wrap the export in a complete document when the export mode is not one
+function buildPreviewDocument(language) {
+  const settings = getExportSettings();
+  language = language || getActiveLanguage();
+  const html = generateHTML(null, language);
+  if (settings.exportMode === "document") return html;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  </head>
+  <body>
+${html}
+  </body>
+</html>`;
+}
+
+// Create an isolated frame rendering a document at a fixed width. Scripts never
+// run inside it; same-origin access only lets the app measure the content height.
+function createPreviewFrame(html, width, title) {
+  const frame = document.createElement("iframe");
+  frame.className = "preview-frame";
+  frame.setAttribute("sandbox", "allow-same-origin");
+  frame.title = title;
+  frame.style.width = width ? width + "px" : "100%";
+  frame.addEventListener("load", () => {
+    highlightFrameMatches(frame);
+    fitFrameHeight(frame);
+  });
+  frame.srcdoc = html;
+  return frame;
+}
+
+// Make a frame as tall as its content
+function fitFrameHeight(frame) {
+  const frameDocument = frame.contentDocument;
+  if (!frameDocument || !frameDocument.body) return;
+
+  const body = frameDocument.body;
+  const bodyStyle = frameDocument.defaultView.getComputedStyle(body);
+  const height =
+    body.getBoundingClientRect().height +
+    parseFloat(bodyStyle.marginTop) +
+    parseFloat(bodyStyle.marginBottom);
+  frame.style.height = Math.ceil(height) + "px";
+}
+
+// Render the cards at every device width side by side
+function renderMultiPreview() {
+  const multiPreview = document.getElementById("multiPreview");
+  const html = buildPreviewDocument();
+  const devices = [
+    { label: "Mobile", width: getViewportWidth("mobile") },
+    { label: "Tablet", width: getViewportWidth("tablet") },
+    { label: "Desktop", width: DESKTOP_PREVIEW_WIDTH },
+  ];
+  if (viewportOptions.customWidth) {
+    devices.push({ label: "Custom", width: viewportOptions.customWidth });
+  }
+  const zoom = viewportOptions.zoom === "fit" ? 0.5 : parseFloat(viewportOptions.zoom);
+
+  multiPreview.innerHTML = "";
+  devices.forEach((device) => {
+    const item = document.createElement("div");
+    item.className = "multi-preview-item";
+    item.innerHTML = `<div class="multi-preview-label">${device.label} · ${device.width}px</div>`;
+
+    const frame = createPreviewFrame(html, device.width, `${device.label} preview`);
+    frame.style.zoom = zoom;
+    item.appendChild(frame);
+    multiPreview.appendChild(item);
+  });
+}
+
+// Show toast notification
+function showToast(message, type = "success") {
+  // Remove any existing toast
+  const existingToast = document.querySelector(".toast");
+  if (existingToast) {
+    existingToast.remove();
+  }
+
+  // Create toast element
+  const toast = document.createElement("div");
+  toast.className = `toast ${type}`;
+  toast.textContent = message;
+
+  // Add to page
+  document.body.appendChild(toast);
+
+  // Show toast with animation
+  setTimeout(() => {
+    toast.classList.add("show");
+  }, 10);
+
+  // Hide and remove toast after 3 seconds
+  setTimeout(() => {
+    toast.classList.remove("show");
+    setTimeout(() => {
+      if (toast.parentNode) {
+        toast.remove();
+      }
+    }, 300);
+  }, 3000);
+}
+
+// Give elements of a fragment export (e.g. "sc1a2b-spec-card") their plain card class back
+function normalizePrefixedClasses(root) {
+  const prefixedClass = new RegExp(`^[a-z][a-z0-9]*-(${CARD_CLASSES.join("|")})$`);
+
+  root.querySelectorAll("[class]").forEach((element) => {
+    Array.from(element.classList).forEach((className) => {
+      const match = className.match(prefixedClass);
+      if (match) {
+        element.classList.replace(className, match[1]);
+      }
+    });
+  });
+}
+
+// Convert a CSS color as found in style attributes to hex
+function cssColorToHex(color) {
+  color = color.trim().toLowerCase();
+  if (/^#[0-9a-f]{3,8}$/.test(color)) return color;
+
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (!rgb) return undefined;
+  return (
+    "#" +
+    rgb
+      .slice(1, 4)
+      .map((value) => Math.min(255, parseInt(value)).toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
+
+// Read the per-card style options back from an exported card
+function parseCardStyle(cardElement, headerElement) {
+  const settings = getExportSettings();
+  const style = {};
+
+  if (cardElement.classList.contains("spec-card--highlight")) {
+    style.highlight = true;
+  }
+  CARD_ALIGNMENTS.forEach((align) => {
+    if (cardElement.classList.contains(`spec-card--align-${align}`)) {
+      style.align = align;
+    }
+  });
+  for (let span = 2; span <= MAX_CARD_SPAN; span++) {
+    if (cardElement.classList.contains(`spec-card--span-${span}`)) {
+      style.span = span;
+    }
+  }
+
+  // The last declaration wins, as in the browser (inline exports put the card's
+  // own colors after the defaults)
+  const headerStyle = headerElement.getAttribute("style") || "";
+  const colors = { "background-color": [], color: [] };
+  headerStyle.split(";").forEach((declaration) => {
+    const [property, value] = declaration.split(":").map((part) => (part || "").trim());
+    if (colors[property] && value) {
+      colors[property].push(cssColorToHex(value));
+    }
+  });
+
+  const headerBackground = colors["background-color"].pop();
+  const headerTextColor = colors.color.pop();
+  if (headerBackground && headerBackground !== settings.headerBackground) {
+    style.headerBackground = headerBackground;
+  }
+  if (headerTextColor && headerTextColor !== settings.headerTextColor) {
+    style.headerTextColor = headerTextColor;
+  }
+  return style;
+}
+
+// How the content of a mapped title or content element is split into rows
+const ROW_SEPARATORS = {
+  br: "<br> tags",
+  elements: "Child elements (p, li, div...)",
+  newline: "Line breaks in the source",
+};
+
+// Select elements with a user-provided selector, reporting invalid selectors
+function selectElements(root, selector, label) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (error) {
+    throw new Error(`Invalid ${label} selector: ${selector}`);
+  }
+}
+
+// Elements that start a row of their own when splitting by child elements
+const BLOCK_ROW_TAGS = ["P", "DIV", "LI", "DT", "DD", "TD", "TH", "H1", "H2", "H3", "H4", "H5", "H6"];
+
+// Split an element into rows at block children and <br> tags
+function splitByChildElements(element) {
+  const parts = [];
+  let inline = "";
+
+  element.childNodes.forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      inline += escapeHtml(node.textContent);
+    } else if (node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    } else if (node.tagName === "BR") {
+      parts.push(inline);
+      inline = "";
+    } else if (node.tagName === "UL" || node.tagName === "OL") {
+      parts.push(inline, ...splitByChildElements(node));
+      inline = "";
+    } else if (BLOCK_ROW_TAGS.includes(node.tagName)) {
+      parts.push(inline, node.innerHTML);
+      inline = "";
+    } else {
+      inline += node.outerHTML;
+    }
+  });
+  parts.push(inline);
+  return parts;
+}
+
+// Split the content of elements into sanitized rows
+function getElementRows(elements, separator) {
+  return elements.reduce((rows, element) => {
+    let parts;
+    if (separator === "elements") {
+      parts = splitByChildElements(element);
+    } else if (separator === "newline") {
+      parts = element.innerHTML.split(/\r?\n/);
+    } else {
+      parts = element.innerHTML.trim().split(/<br\s*\/?>/i);
+    }
+    return rows.concat(
+      parts.map((row) => sanitizeImportedHTML(row).trim()).filter((row) => row)
+    );
+  }, []);
+}
+
+// Get the top-level elements of a kind, ignoring ones nested in another of the same kind
+function getOutermostElements(root, tagName) {
+  return Array.from(root.querySelectorAll(tagName)).filter(
+    (element) => !element.parentElement.closest(tagName)
+  );
+}
+
+// Get the rows of a table as arrays of cells, leaving nested tables alone
+function getTableGrid(table) {
+  return Array.from(table.rows)
+    .filter((row) => row.closest("table") === table)
+    .map((row) => Array.from(row.cells))
+    .filter((cells) => cells.length > 0);
+}
+
+// Whether a table row only holds header cells
+function isHeaderRow(cells) {
+  return cells.every((cell) => cell.tagName === "TH" || cell.closest("thead"));
+}
+
+// Turn tables into cards, one per row (first cell as title) or one per column
+// (header cell as title, prefixed with the row labels when there are any)
+function parseTableCards(tables, byColumn, nextId) {
+  const items = [];
+
+  tables.forEach((table) => {
+    const grid = getTableGrid(table);
+    if (grid.length === 0) return;
+
+    const tableCards = [];
+    const hasHeaderRow = grid.length > 1 && isHeaderRow(grid[0]);
+    const bodyRows = hasHeaderRow ? grid.slice(1) : grid;
+
+    if (byColumn) {
+      const hasLabelColumn = bodyRows.every((cells) => cells[0].tagName === "TH");
+      const columnCount = grid.reduce((max, cells) => Math.max(max, cells.length), 0);
+
+      for (let column = hasLabelColumn ? 1 : 0; column < columnCount; column++) {
+        const rows = [];
+        bodyRows.forEach((cells) => {
+          if (!cells[column]) return;
+          const values = getElementRows([cells[column]], "elements");
+          const label = hasLabelColumn ? getElementRows([cells[0]], "br").join(" ") : "";
+          values.forEach((value, index) => {
+            rows.push(label && index === 0 ? `${label}: ${value}` : value);
+          });
+        });
+        const titleRows =
+          hasHeaderRow && grid[0][column] ? getElementRows([grid[0][column]], "br") : [];
+        tableCards.push({
+          id: nextId(),
+          title: titleRows.length > 0 ? titleRows.join("\n") : "Untitled",
+          rows: rows.join("\n"),
+        });
+      }
+    } else {
+      bodyRows.forEach((cells) => {
+        const titleRows = getElementRows([cells[0]], "br");
+        tableCards.push({
+          id: nextId(),
+          title: titleRows.length > 0 ? titleRows.join("\n") : "Untitled",
+          rows: getElementRows(cells.slice(1), "elements").join("\n"),
+        });
+      });
+    }
+
+    // A captioned table becomes a section of its own
+    if (table.caption && tableCards.length > 0) {
+      items.push({
+        type: "section",
+        id: nextId(),
+        heading: sanitizeImportedHTML(table.caption.innerHTML).trim(),
+        cards: tableCards,
+      });
+    } else {
+      items.push(...tableCards);
+    }
+  });
+  return items;
+}
+
+// Turn definition lists into cards: each term starts a card (consecutive terms
+// are title lines) and its descriptions become the rows
+function parseDefinitionListCards(lists, nextId) {
+  const items = [];
+
+  lists.forEach((list) => {
+    let card = null;
+    let titleRows = [];
+
+    // Terms and descriptions may be wrapped in a div
+    const entries = Array.from(list.children).reduce(
+      (all, child) => all.concat(child.tagName === "DIV" ? Array.from(child.children) : [child]),
+      []
+    );
+    entries.forEach((entry) => {
+      if (entry.tagName === "DT") {
+        if (card) {
+          card = null;
+          titleRows = [];
+        }
+        titleRows.push(...getElementRows([entry], "br"));
+      } else if (entry.tagName === "DD") {
+        if (!card) {
+          card = {
+            id: nextId(),
+            title: titleRows.length > 0 ? titleRows.join("\n") : "Untitled",
+            rows: "",
+          };
+          items.push(card);
+        }
+        const rows = getFieldLines(card.rows).concat(getElementRows([entry], "elements"));
+        card.rows = rows.filter((row) => row).join("\n");
+      }
+    });
+  });
+  return items;
+}
+
+// Parse tables or definition lists. "auto" picks tables first, then lists, and
+// returns null when the HTML has neither.
+function parseStructuredCards(root, structure) {
+  let kind = structure;
+  if (structure === "auto") {
+    kind = root.querySelector("table") ? "table-rows" : root.querySelector("dl") ? "dl" : null;
+  }
+  if (!kind) return null;
+
+  let maxId = 0;
+  const nextId = () => ++maxId;
+  const isTable = kind !== "dl";
+  const elements = getOutermostElements(root, isTable ? "table" : "dl");
+  if (elements.length === 0) {
+    throw new Error(isTable ? "No tables found in the HTML" : "No definition lists found in the HTML");
+  }
+
+  return {
+    cards: isTable
+      ? parseTableCards(elements, kind === "table-columns", nextId)
+      : parseDefinitionListCards(elements, nextId),
+    maxId: maxId,
+    matchedSelector: isTable ? "table" : "dl",
+    guessed: false,
+  };
+}
+
+// Read the first image of a card and remove it (with its wrapper) from the markup.
+// The position is derived from where the image sits relative to title and rows.
+function extractCardImage(card, headerElement, contentElement) {
+  const img = card.querySelector("img[src]");
+  if (!img) return null;
+
+  const media = img.closest(".spec-media");
+  const imageElement = media && card.contains(media) ? media : img;
+
+  let position = "top";
+  if (headerElement && headerElement.contains(img)) {
+    position = "header";
+  } else if (contentElement && contentElement !== headerElement && contentElement.contains(img)) {
+    // Rows before the image put it below them
+    const range = img.ownerDocument.createRange();
+    range.setStart(contentElement, 0);
+    range.setEndBefore(imageElement);
+    position = range.toString().trim() ? "bottom" : "content";
+  } else if (
+    headerElement &&
+    headerElement.compareDocumentPosition(img) & Node.DOCUMENT_POSITION_FOLLOWING
+  ) {
+    position = "bottom";
+  }
+
+  const src = img.getAttribute("src").trim();
+  const width = parseInt(img.getAttribute("width"));
+  imageElement.remove();
+  if (!isSafeImageUrl(src)) return null;
+
+  const image = { src: src, alt: img.getAttribute("alt") || "", position: position };
+  if (!isNaN(width)) {
+    image.width = Math.min(MAX_IMAGE_WIDTH, Math.max(8, width));
+  }
+  return image;
+}
+
+// Read the label/value pairs of a card and remove their list from the markup
+function extractPairList(contentElement) {
+  const list = contentElement && contentElement.querySelector("dl.spec-pairs");
+  if (!list) return null;
+
+  const pairs = [];
+  Array.from(list.children).forEach((element) => {
+    if (element.tagName === "DT") {
+      pairs.push({ label: sanitizeImportedHTML(element.innerHTML).trim(), value: "", unit: "" });
+    } else if (element.tagName === "DD") {
+      const unitElement = element.querySelector(".spec-pair-unit");
+      if (unitElement) {
+        unitElement.remove();
+      }
+      if (pairs.length === 0 || pairs[pairs.length - 1].value) {
+        pairs.push({ label: "", value: "", unit: "" });
+      }
+      const pair = pairs[pairs.length - 1];
+      pair.value = sanitizeImportedHTML(element.innerHTML).trim();
+      pair.unit = unitElement ? sanitizeImportedHTML(unitElement.innerHTML).trim() : "";
+    }
+  });
+
+  const stacked = list.classList.contains("spec-pairs--stacked");
+  list.remove();
+  return { pairs: pairs, stacked: stacked };
+}
+
+// Parse HTML and extract card data. An optional mapping ({ cardSelector,
+// titleSelector, contentSelector, rowSeparator }) replaces the built-in guesses;
+// otherwise structure picks card elements, tables or definition lists ("auto"
+// by default: card elements when there are .spec-cards, then tables and lists).
+function parseHTMLToCards(htmlContent, mapping, structure) {
+  try {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(htmlContent, "text/html");
+    normalizePrefixedClasses(doc);
+    let specCards = doc.querySelectorAll(".spec-card");
+    let matchedSelector = ".spec-card";
+
+    if (mapping) {
+      if (!mapping.cardSelector.trim()) {
+        throw new Error("Enter a card selector");
+      }
+      matchedSelector = mapping.cardSelector.trim();
+      specCards = selectElements(doc, matchedSelector, "card");
+    }
+
+    // Tables and definition lists, when asked for
+    structure = structure || "auto";
+    if (!mapping && structure !== "cards" && structure !== "auto") {
+      const structured = parseStructuredCards(doc, structure);
+      if (structured) return structured;
+    }
+
+    // If no cards found in full document, try parsing as fragment
+    if (specCards.length === 0 && !mapping) {
+      // Try parsing as HTML fragment
+      const tempDiv = parseHTMLFragment(htmlContent);
+      normalizePrefixedClasses(tempDiv);
+      specCards = tempDiv.querySelectorAll(".spec-card");
+    }
+
+    // If still no spec-cards found, try to find common card structures
+    if (specCards.length === 0 && !mapping) {
+      const tempDiv = parseHTMLFragment(htmlContent);
+
+      // Try common card selectors
+      const cardSelectors = [
+        '.card',
+        '.content-card',
+        '.item',
+        '.box',
+        'div[class*="card"]',
+        'article',
+        'section'
+      ];
+
+      for (const selector of cardSelectors) {
+        // Plain articles and sections are less telling than tables and lists
+        if (selector === "article" && structure === "auto") {
+          const structured = parseStructuredCards(doc, structure);
+          if (structured) return structured;
+        }
+
+        const potentialCards = tempDiv.querySelectorAll(selector);
+        if (potentialCards.length > 0) {
+          // Cards that wrap tables or lists are read as those
+          if (
+            structure === "auto" &&
+            Array.from(potentialCards).some((element) => element.querySelector("table, dl"))
+          ) {
+            const structured = parseStructuredCards(doc, structure);
+            if (structured) return structured;
+          }
+          specCards = potentialCards;
+          matchedSelector = selector;
+          break;
+        }
+      }
+    }
+
+    if (specCards.length === 0 && mapping) {
+      throw new Error(`No elements match the card selector "${matchedSelector}"`);
+    }
+
+    // Without any card-like elements, tables and definition lists are tried last
+    if (specCards.length === 0 && structure === "auto") {
+      const structured = parseStructuredCards(doc, structure);
+      if (structured) return structured;
+    }
+
+    if (specCards.length === 0) {
+      // Debug: log what was actually parsed
+      console.log("Parsed HTML content:", htmlContent.substring(0, 500) + "...");
+      console.log("Available elements:", doc.body ? doc.body.innerHTML : "No body found");
+
+      throw new Error(`No cards found in HTML. Please ensure your HTML contains card-like elements.
+
+Preferred structure:
+<div class="spec-card">
+  <div class="spec-header">Card Title</div>
+  <div class="spec-content">Card content here</div>
+</div>
+
+Or use common card classes like: .card, .content-card, .item, .box, article, or section`);
+    }
+
+    const parsedCards = [];
+    const parsedSections = new Map();
+    let maxId = 0;
+
+    specCards.forEach((card, index) => {
+      let headerElement = card.querySelector(".spec-header");
+      let contentElement = card.querySelector(".spec-content");
+      let headerElements = null;
+      let contentElements = null;
+
+      // Mapped title/content selectors win over the built-in guesses
+      if (mapping && mapping.titleSelector.trim()) {
+        headerElements = selectElements(card, mapping.titleSelector.trim(), "title");
+        headerElement = headerElements[0] || null;
+      }
+      if (mapping && mapping.contentSelector.trim()) {
+        contentElements = selectElements(card, mapping.contentSelector.trim(), "content")
+          .filter((element) => !headerElements || !headerElements.includes(element));
+        contentElement = contentElements[0] || null;
+      }
+
+      // If exact spec-header/spec-content not found, try common header/content patterns
+      if (!headerElement || !contentElement) {
+        // Try various header selectors
+        const headerSelectors = [
+          '.header', '.title', '.card-header', '.card-title',
+          'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+          '.name', '.label'
+        ];
+
+        // Try various content selectors
+        const contentSelectors = [
+          '.content', '.body', '.card-body', '.card-content',
+          '.description', '.text', '.details', 'p'
+        ];
+
+        // Find header
+        if (!headerElement && !headerElements) {
+          for (const selector of headerSelectors) {
+            headerElement = card.querySelector(selector);
+            if (headerElement) break;
+          }
+        }
+
+        // Find content
+        if (!contentElement && !contentElements) {
+          for (const selector of contentSelectors) {
+            contentElement = card.querySelector(selector);
+            if (contentElement) break;
+          }
+        }
+
+        // If still no specific header/content found, try to extract from card directly
+        if (!headerElement && !contentElement && !headerElements && !contentElements) {
+          // Use first child as header and remaining as content
+          const children = Array.from(card.children);
+          if (children.length >= 2) {
+            headerElement = children[0];
+            contentElement = children[1];
+          } else if (children.length === 1) {
+            // Use card text content as both header and content
+            headerElement = children[0];
+            contentElement = children[0];
+          } else {
+            // Use card's direct text content
+            const textContent = card.textContent.trim();
+            if (textContent) {
+              // Create temporary elements
+              const tempHeader = document.createElement('div');
+              const tempContent = document.createElement('div');
+
+              // Split by lines if possible, otherwise use whole text as header
+              const lines = textContent.split('\n').map(line => line.trim()).filter(line => line);
+              if (lines.length > 1) {
+                tempHeader.textContent = lines[0];
+                tempContent.innerHTML = lines.slice(1).join('<br>');
+              } else {
+                tempHeader.textContent = textContent;
+                tempContent.textContent = textContent;
+              }
+
+              headerElement = tempHeader;
+              contentElement = tempContent;
+            }
+          }
+        }
+      }
+
+      if (!headerElement || !contentElement) {
+        return; // Skip invalid cards (or cards missing a mapped element)
+      }
+
+      // Take the image and label/value pairs out before the rows are read
+      const cardImage = extractCardImage(card, headerElement, contentElement);
+      const pairList = extractPairList(contentElement);
+
+      // Parse title and content (split by <br> tags unless mapped otherwise)
+      const separator = mapping ? mapping.rowSeparator : "br";
+      const titleRows = getElementRows(headerElements || [headerElement], separator);
+      const contentRows = getElementRows(contentElements || [contentElement], separator);
+
+      const cardId = ++maxId;
+      const parsedCard = {
+        id: cardId,
+        title: titleRows.length > 0 ? titleRows.join("\n") : "Untitled",
+        rows: contentRows.length > 0 ? contentRows.join("\n") : "",
+      };
+      const cardStyle = parseCardStyle(card, headerElement);
+      if (Object.keys(cardStyle).length > 0) {
+        parsedCard.style = cardStyle;
+      }
+      if (cardImage) {
+        parsedCard.image = cardImage;
+      }
+      if (pairList) {
+        parsedCard.rowMode = "pairs";
+        parsedCard.pairs = pairList.pairs;
+        parsedCard.rows = formatPairsAsRows(pairList.pairs);
+        if (pairList.stacked) {
+          parsedCard.pairLayout = "stacked";
+        }
+      }
+
+      // Cards inside an exported section go back into that section
+      const sectionElement = card.closest(".spec-section");
+      if (!sectionElement) {
+        parsedCards.push(parsedCard);
+        return;
+      }
+      if (!parsedSections.has(sectionElement)) {
+        const headingElement = sectionElement.querySelector(".spec-section-heading");
+        const section = {
+          type: "section",
+          id: ++maxId,
+          heading: headingElement
+            ? sanitizeImportedHTML(headingElement.innerHTML).trim()
+            : "",
+          cards: [],
+        };
+        parsedSections.set(sectionElement, section);
+        parsedCards.push(section);
+      }
+      parsedSections.get(sectionElement).cards.push(parsedCard);
+    });
+
+    return {
+      cards: parsedCards,
+      maxId: maxId,
+      matchedSelector: matchedSelector,
+      guessed: !mapping && matchedSelector !== ".spec-card",
+    };
+  } catch (error) {
+    console.error("Error parsing HTML:", error);
+    throw error;
+  }
+}
+
+// Parse HTML from textarea and preview the cards before importing them
+function parseFromTextarea() {
+  const codeTextarea = document.getElementById("codeTextarea");
+  const htmlContent = codeTextarea.value.trim();
+
+  if (!htmlContent) {
+    showToast("No HTML content to parse", "error");
+    return;
+  }
+
+  pendingHTMLImport = {
+    html: htmlContent,
+    detection: "auto",
+    mapping: Object.assign({}, DEFAULT_IMPORT_MAPPING),
+    result: null,
+    error: null,
+    deselectedIds: new Set(),
+    mode: "replace",
+  };
+  openHTMLImportDialog();
+}
+
+// HTML import waiting for confirmation in the preview dialog
+const HTML_IMPORT_MODES = {
+  replace: "Replace all cards",
+  append: "Append to cards",
+  merge: "Merge by title (update matching cards, append the rest)",
+};
+const IMPORT_STRUCTURES = {
+  auto: "Automatic",
+  cards: "Card elements",
+  "table-rows": "Table rows (one card per row)",
+  "table-columns": "Table columns (one card per column)",
+  dl: "Definition lists (one card per term)",
+};
+const DEFAULT_IMPORT_MAPPING = {
+  cardSelector: "",
+  titleSelector: "",
+  contentSelector: "",
+  rowSeparator: "br",
+};
+let pendingHTMLImport = null;
+
+// Parse the pending HTML again with the current mapping
+function refreshHTMLImport() {
+  const pending = pendingHTMLImport;
+  pending.deselectedIds = new Set();
+
+  try {
+    pending.result = usesImportMapping(pending.detection)
+      ? parseHTMLToCards(pending.html, pending.mapping)
+      : parseHTMLToCards(pending.html, null, pending.detection);
+    pending.error =
+      pending.result.cards.length === 0 ? "No valid spec cards found in the HTML" : null;
+  } catch (error) {
+    pending.result = null;
+    pending.error = error.message;
+  }
+  renderHTMLImportPreview();
+}
+
+// Open the import dialog: mapping, import mode and the detected cards
+function openHTMLImportDialog() {
+  const pending = pendingHTMLImport;
+  const usesMapping = usesImportMapping(pending.detection);
+  const mappingInput = (key, label, placeholder) => `
+            <div class="form-group">
+                <label for="importMapping-${key}">${label}</label>
+                <input class="form-control" type="text" id="importMapping-${key}"
+                       value="${escapeAttribute(pending.mapping[key])}" placeholder="${placeholder}"
+                       oninput="updateImportMapping('${key}', this.value)" />
+            </div>`;
+
+  openModal(
+    "Import HTML",
+    `<div class="form-group">
+        <label for="importProfile">Card detection:</label>
+        <select class="form-control" id="importProfile" onchange="selectImportProfile(this.value)">
+            ${Object.keys(IMPORT_STRUCTURES)
+              .map(
+                (structure) =>
+                  `<option value="${structure}"${
+                    structure === pending.detection ? " selected" : ""
+                  }>${IMPORT_STRUCTURES[structure]}</option>`
+              )
+              .join("")}
+            <option value="custom"${pending.detection === "custom" ? " selected" : ""}>Custom mapping</option>
+            ${projectStore.importProfiles
+              .map(
+                (profile) =>
+                  `<option value="${profile.id}"${
+                    String(profile.id) === pending.detection ? " selected" : ""
+                  }>${escapeHtml(profile.name)}</option>`
+              )
+              .join("")}
+        </select>
+    </div>
+    ${
+      usesMapping
+        ? `<div class="import-mapping">
+            <div class="settings-grid">
+                ${mappingInput("cardSelector", "Card selector:", "e.g. table.specs tr")}
+                ${mappingInput("titleSelector", "Title selector:", "e.g. th (optional)")}
+                ${mappingInput("contentSelector", "Content selector:", "e.g. td (optional)")}
+                <div class="form-group">
+                    <label for="importMapping-rowSeparator">Row separator:</label>
+                    <select class="form-control" id="importMapping-rowSeparator"
+                            onchange="updateImportMapping('rowSeparator', this.value)">
+                        ${Object.keys(ROW_SEPARATORS)
+                          .map(
+                            (separator) =>
+                              `<option value="${separator}"${
+                                separator === pending.mapping.rowSeparator ? " selected" : ""
+                              }>${escapeHtml(ROW_SEPARATORS[separator])}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </div>
+            </div>
+            <button class="btn btn-secondary btn-sm" onclick="saveImportProfile()">Save as Profile</button>
+            ${
+              pending.detection !== "custom"
+                ? `<button class="btn btn-danger btn-sm" onclick="deleteImportProfile()">Delete Profile</button>`
+                : ""
+            }
+        </div>`
+        : ""
+    }
+    <div class="form-group import-modes">
+        ${Object.keys(HTML_IMPORT_MODES)
+          .map(
+            (mode) => `
+        <label class="checkbox-label">
+            <input type="radio" name="htmlImportMode" value="${mode}"
+                   ${mode === pending.mode ? "checked" : ""}
+                   onchange="pendingHTMLImport.mode = this.value" />
+            ${HTML_IMPORT_MODES[mode]}
+        </label>`
+          )
+          .join("")}
+    </div>
+    <div id="htmlImportResult"></div>`
+  );
+  refreshHTMLImport();
+}
+
+// Whether a detection choice is a custom mapping or a saved profile
+function usesImportMapping(detection) {
+  return !IMPORT_STRUCTURES.hasOwnProperty(detection);
+}
+
+// Switch between built-in detection, a custom mapping and saved profiles
+function selectImportProfile(value) {
+  const pending = pendingHTMLImport;
+  const profile = projectStore.importProfiles.find(
+    (item) => String(item.id) === value
+  );
+  pending.detection = value;
+  if (profile) {
+    pending.mapping = Object.assign({}, DEFAULT_IMPORT_MAPPING, profile.mapping);
+  }
+  openHTMLImportDialog();
+}
+
+// Change a field of the mapping and test it right away
+function updateImportMapping(key, value) {
+  pendingHTMLImport.mapping[key] = value;
+  refreshHTMLImport();
+}
+
+// Save the current mapping as a named profile, replacing one with the same name
+function saveImportProfile() {
+  const pending = pendingHTMLImport;
+  const current = projectStore.importProfiles.find(
+    (profile) => String(profile.id) === pending.detection
+  );
+  const name = prompt("Profile name:", current ? current.name : "");
+  if (!name || !name.trim()) return;
+
+  let profile = projectStore.importProfiles.find(
+    (item) => item.name === name.trim()
+  );
+  if (!profile) {
+    profile = { id: ++projectStore.importProfileIdCounter, name: name.trim() };
+    projectStore.importProfiles.push(profile);
+  }
+  profile.mapping = Object.assign({}, pending.mapping);
+  const stored = persistProjectStore();
+
+  pending.detection = String(profile.id);
+  openHTMLImportDialog();
+  if (!stored) return;
+  showToast(`Saved import profile "${profile.name}"`, "success");
+}
+
+// Delete the selected import profile
+function deleteImportProfile() {
+  const pending = pendingHTMLImport;
+  const profile = projectStore.importProfiles.find(
+    (item) => String(item.id) === pending.detection
+  );
+  if (!profile || !confirm(`Delete import profile "${profile.name}"?`)) return;
+
+  projectStore.importProfiles = projectStore.importProfiles.filter(
+    (item) => item !== profile
+  );
+  persistProjectStore();
+  pending.detection = "custom";
+  openHTMLImportDialog();
+}
+
+// Render a detected card of the import preview
+function renderImportPreviewCard(card) {
+  const deselected = pendingHTMLImport.deselectedIds.has(card.id);
+  return `
+        <label class="checkbox-label import-sample-card${deselected ? " deselected" : ""}">
+            <input type="checkbox" ${deselected ? "" : "checked"}
+                   onchange="toggleHTMLImportItem(${card.id}, this.checked)" />
+            <span>
+                <strong>${escapeHtml(getPlainText(card.title) || "Untitled")}</strong><br />
+                ${getFieldLines(card.rows)
+                  .map((line) => escapeHtml(getPlainText(line)))
+                  .join(" · ")}
+            </span>
+        </label>`;
+}
+
+// Show the detected cards so the user can choose what to import
+function renderHTMLImportPreview() {
+  const pending = pendingHTMLImport;
+  const container = document.getElementById("htmlImportResult");
+  if (!container) return;
+
+  const result = pending.result;
+  const selectedCount = result
+    ? getSelectedImportItems().reduce(
+        (count, item) => count + (isSection(item) ? item.cards.length : 1),
+        0
+      )
+    : 0;
+
+  document.getElementById("modalFooter").innerHTML = `
+    <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+    <button class="btn" onclick="applyHTMLImport()" ${selectedCount === 0 ? "disabled" : ""}>
+        Import ${selectedCount} card(s)
+    </button>`;
+
+  if (pending.error) {
+    container.innerHTML = `<p class="import-summary import-error">${escapeHtml(pending.error)}</p>`;
+    return;
+  }
+
+  const cardCount = result.cards.reduce(
+    (count, item) => count + (isSection(item) ? item.cards.length : 1),
+    0
+  );
+  const items = result.cards
+    .map((item) => {
+      if (!isSection(item)) return renderImportPreviewCard(item);
+
+      const deselected = item.cards.every((card) =>
+        pending.deselectedIds.has(card.id)
+      );
+      return `
+        <div class="import-section">
+            <label class="checkbox-label">
+                <input type="checkbox" ${deselected ? "" : "checked"}
+                       onchange="toggleHTMLImportItem(${item.id}, this.checked)" />
+                <strong>Section: ${escapeHtml(getPlainText(item.heading) || "Untitled")}</strong>
+            </label>
+            ${item.cards.map(renderImportPreviewCard).join("")}
+        </div>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <p class="import-summary">
+        Matched <code>${escapeHtml(result.matchedSelector)}</code>: ${cardCount} card(s) found.
+        ${
+          !result.guessed
+            ? ""
+            : "<br />No .spec-card elements were found, so cards were guessed from common markup. Check the result or use a custom mapping."
+        }
+    </p>
+    <div class="import-sample">${items}</div>`;
+}
+
+// Include or exclude a detected card, or all cards of a detected section
+function toggleHTMLImportItem(itemId, selected) {
+  const pending = pendingHTMLImport;
+  const section = pending.result.cards.find(
+    (item) => item.id === itemId && isSection(item)
+  );
+  const ids = section ? section.cards.map((card) => card.id) : [itemId];
+
+  ids.forEach((id) => {
+    if (selected) {
+      pending.deselectedIds.delete(id);
+    } else {
+      pending.deselectedIds.add(id);
+    }
+  });
+  renderHTMLImportPreview();
+}
+
+// Get the detected items the user kept, dropping sections left without cards
+function getSelectedImportItems() {
+  const pending = pendingHTMLImport;
+  const isSelected = (card) => !pending.deselectedIds.has(card.id);
+
+  return pending.result.cards.reduce((items, item) => {
+    if (!isSection(item)) {
+      return isSelected(item) ? items.concat([item]) : items;
+    }
+    const sectionCards = item.cards.filter(isSelected);
+    return sectionCards.length > 0
+      ? items.concat([Object.assign({}, item, { cards: sectionCards })])
+      : items;
+  }, []);
+}
+
+// Copy an imported card or section, giving it and its cards ids of the current set
+function withNewIds(item) {
+  const copy = JSON.parse(JSON.stringify(item));
+  copy.id = ++cardIdCounter;
+  if (isSection(copy)) {
+    copy.cards.forEach((card) => {
+      card.id = ++cardIdCounter;
+    });
+  }
+  return copy;
+}
+
+// Get the key cards are matched on when merging by title
+function getTitleKey(title) {
+  return getPlainText(title).toLowerCase();
+}
+
+// Merge imported items: cards whose title matches an existing card update it in
+// place (keeping its id), the others are appended
+function mergeImportedItems(items) {
+  const existingByTitle = new Map();
+  getAllCards().forEach((card) => {
+    const key = getTitleKey(card.title);
+    if (!existingByTitle.has(key)) {
+      existingByTitle.set(key, card);
+    }
+  });
+
+  const mergeCard = (card) => {
+    const existing = existingByTitle.get(getTitleKey(card.title));
+    if (!existing) return false;
+
+    existing.title = card.title;
+    existing.rows = card.rows;
+    ["rowMode", "pairs", "pairLayout"].forEach((key) => {
+      if (card[key]) {
+        existing[key] = card[key];
+      } else {
+        delete existing[key];
+      }
+    });
+    if (card.style) {
+      existing.style = card.style;
+    } else {
+      delete existing.style;
+    }
+    return true;
+  };
+
+  let updated = 0;
+  items.forEach((item) => {
+    if (!isSection(item)) {
+      if (mergeCard(item)) {
+        updated++;
+      } else {
+        cards.push(withNewIds(item));
+      }
+      return;
+    }
+
+    const remaining = item.cards.filter((card) => !mergeCard(card));
+    updated += item.cards.length - remaining.length;
+    if (remaining.length === 0) return;
+
+    // Unmatched cards join the section with the same heading, if there is one
+    const section = cards.find(
+      (existing) =>
+        isSection(existing) &&
+        getTitleKey(existing.heading) === getTitleKey(item.heading)
+    );
+    if (section) {
+      remaining.forEach((card) => section.cards.push(withNewIds(card)));
+    } else {
+      cards.push(withNewIds(Object.assign({}, item, { cards: remaining })));
+    }
+  });
+  return updated;
+}
+
+// Import the selected cards of the preview with the chosen mode
+function applyHTMLImport() {
+  const pending = pendingHTMLImport;
+  if (!pending) return;
+
+  const items = getSelectedImportItems();
+  const cardCount = items.reduce(
+    (count, item) => count + (isSection(item) ? item.cards.length : 1),
+    0
+  );
+  if (cardCount === 0) {
+    showToast("No cards selected", "error");
+    return;
+  }
+
+  let updated = 0;
+  executeCommand("import cards from HTML", () => {
+    if (pending.mode === "merge") {
+      updated = mergeImportedItems(items);
+      return;
+    }
+    if (pending.mode === "replace") {
+      cards = [];
+      cardIdCounter = 0;
+    }
+    items.forEach((item) => cards.push(withNewIds(item)));
+  });
+
+  pendingHTMLImport = null;
+  closeModal();
+  codeEditedManually = false;
+  renderEditor();
+  updatePreview();
+
+  showToast(
+    pending.mode === "merge"
+      ? `Updated ${updated} and added ${cardCount - updated} card(s)`
+      : `Successfully imported ${cardCount} card(s)!`,
+    "success"
+  );
+
+  // Switch back to preview view
+  if (isCodeView) {
+    const toggleBtn = document.querySelector(
+      '.panel-header button[onclick="toggleView(event)"]'
+    );
+    toggleView({ target: toggleBtn });
+    // Update the main toggle button label
+    if (toggleBtn) {
+      toggleBtn.textContent = "Toggle Code View";
+    }
+  }
+}
+
+// Clear textarea
+function clearTextarea() {
+  const codeTextarea = document.getElementById("codeTextarea");
+  codeTextarea.value = "";
+  codeTextarea.focus();
+  handleCodeInput();
+}
+
+// Code editor - highlighted HTML with line numbers, validation and an optional
+// live sync between the code and the cards
+const LIVE_SYNC_DELAY = 600;
+const MAX_REPORTED_ERRORS = 20;
+let codeEditedManually = false;
+let liveSyncEnabled = false;
+let liveSyncTimer = null;
+let isSyncingFromCode = false;
+
+// Elements that never have a closing tag
+const VOID_HTML_TAGS = [
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "source", "track", "wbr",
+];
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_TAGS = ["script", "style", "textarea", "title"];
+
+// Elements whose closing tag may be left out
+const OPTIONAL_END_TAGS = [
+  "p", "li", "dt", "dd", "tr", "td", "th", "thead", "tbody", "tfoot", "option",
+];
+
+// Highlight the attributes of a tag
+function highlightAttributes(attributes) {
+  return attributes.replace(
+    /(\s+)([^\s"'>\/=]+)(?:(\s*=\s*)("[^"]*"?|'[^']*'?|[^\s>]+))?/g,
+    (match, space, name, equals, value) =>
+      space +
+      `<span class="hl-attr">${escapeHtml(name)}</span>` +
+      (equals ? escapeHtml(equals) + `<span class="hl-value">${escapeHtml(value)}</span>` : "")
+  );
+}
+
+// Turn HTML source into highlighted markup
+function highlightHTML(code) {
+  const tokenPattern =
+    /(<!--[\s\S]*?(?:-->|$))|(<!DOCTYPE[^>]*>?)|(<\/?[a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"?|'[^']*'?|[^\s>]+))?)*)(\s*\/?>)?|(&#?\w+;)/gi;
+  let html = "";
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(code))) {
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    if (match[1]) {
+      html += `<span class="hl-comment">${escapeHtml(match[1])}</span>`;
+    } else if (match[2]) {
+      html += `<span class="hl-doctype">${escapeHtml(match[2])}</span>`;
+    } else if (match[3]) {
+      html +=
+        `<span class="hl-tag">${escapeHtml(match[3])}</span>` +
+        highlightAttributes(match[4]) +
+        (match[5] ? `<span class="hl-tag">${escapeHtml(match[5])}</span>` : "");
+    } else {
+      html += `<span class="hl-entity">${escapeHtml(match[6])}</span>`;
+    }
+  }
+  return html + escapeHtml(code.slice(lastIndex));
+}
+
+// Check that tags are well formed and balanced. Returns [{ line, message }].
+function validateHTML(code) {
+  const errors = [];
+  const stack = [];
+  const tagPattern =
+    /<!--[\s\S]*?-->|<!--|<!DOCTYPE[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*(\/?)>|<\/?[a-zA-Z]/gi;
+  const lineAt = (index) => code.slice(0, index).split("\n").length;
+  const report = (index, message) => {
+    errors.push({ line: lineAt(index), message: message });
+  };
+  let match;
+
+  while ((match = tagPattern.exec(code)) && errors.length < MAX_REPORTED_ERRORS) {
+    const token = match[0];
+    if (token === "<!--") {
+      report(match.index, "Comment is never closed");
+      break;
+    }
+    if (!match[2]) {
+      if (!token.startsWith("<!")) {
+        report(match.index, "Malformed or unterminated tag");
+      }
+      continue;
+    }
+
+    const isClosing = match[1] === "/";
+    const tagName = match[2].toLowerCase();
+
+    if (!isClosing) {
+      if (match[4] || VOID_HTML_TAGS.includes(tagName)) continue;
+      stack.push({ tagName: tagName, index: match.index });
+
+      // Skip over raw text content such as stylesheets
+      if (RAW_TEXT_TAGS.includes(tagName)) {
+        const closeIndex = code.toLowerCase().indexOf("</" + tagName, tagPattern.lastIndex);
+        if (closeIndex === -1) {
+          report(match.index, `<${tagName}> is never closed`);
+          break;
+        }
+        tagPattern.lastIndex = closeIndex;
+      }
+      continue;
+    }
+
+    if (VOID_HTML_TAGS.includes(tagName)) {
+      report(match.index, `<${tagName}> must not have a closing tag`);
+      continue;
+    }
+    if (!stack.some((open) => open.tagName === tagName)) {
+      report(match.index, `Unexpected closing tag </${tagName}>`);
+      continue;
+    }
+    while (stack.length > 0) {
+      const open = stack.pop();
+      if (open.tagName === tagName) break;
+      if (!OPTIONAL_END_TAGS.includes(open.tagName)) {
+        report(open.index, `<${open.tagName}> is never closed (found </${tagName}> first)`);
+      }
+    }
+  }
+
+  stack
+    .filter((open) => !OPTIONAL_END_TAGS.includes(open.tagName))
+    .forEach((open) => report(open.index, `<${open.tagName}> is never closed`));
+  return errors.sort((a, b) => a.line - b.line);
+}
+
+// Redraw highlighting, line numbers and the validation status
+function refreshCodeEditor() {
+  const codeTextarea = document.getElementById("codeTextarea");
+  const highlight = document.getElementById("codeHighlight");
+  const gutter = document.getElementById("codeGutter");
+  if (!highlight || !gutter) return;
+
+  const code = codeTextarea.value;
+  const errors = code.trim() ? validateHTML(code) : [];
+  const errorLines = new Set(errors.map((error) => error.line));
+
+  // The trailing newline keeps an empty last line as tall as in the textarea
+  highlight.innerHTML = highlightHTML(code) + "\n";
+  gutter.innerHTML = code
+    .split("\n")
+    .map(
+      (line, index) =>
+        `<span${errorLines.has(index + 1) ? ' class="has-error"' : ""}>${index + 1}</span>`
+    )
+    .join("\n");
+  syncCodeScroll();
+  updateCodeStatus(errors);
+}
+
+// Show validation errors and the sync state below the editor
+function updateCodeStatus(errors) {
+  const status = document.getElementById("codeStatus");
+  if (!status) return;
+
+  const messages = errors
+    .slice(0, 3)
+    .map((error) => `<div>Line ${error.line}: ${escapeHtml(error.message)}</div>`);
+  if (errors.length > 3) {
+    messages.push(`<div>...and ${errors.length - 3} more</div>`);
+  }
+  if (codeEditedManually && !liveSyncEnabled) {
+    messages.push(`<div class="code-status-note">
+        The code has manual edits, so card changes are not shown here.
+        <button class="btn btn-secondary btn-sm" onclick="regenerateCode()">Regenerate</button>
+    </div>`);
+  }
+
+  status.className = "code-status" + (errors.length > 0 ? " has-errors" : "");
+  status.innerHTML =
+    messages.join("") ||
+    (liveSyncEnabled ? "Valid HTML - live sync is on" : "Valid HTML");
+}
+
+// Keep the highlighting and line numbers aligned with the textarea
+function syncCodeScroll() {
+  const codeTextarea = document.getElementById("codeTextarea");
+  const highlight = document.getElementById("codeHighlight");
+  const gutter = document.getElementById("codeGutter");
+
+  highlight.scrollTop = codeTextarea.scrollTop;
+  highlight.scrollLeft = codeTextarea.scrollLeft;
+  gutter.scrollTop = codeTextarea.scrollTop;
+}
+
+// Handle typing in the code editor
+function handleCodeInput() {
+  codeEditedManually = true;
+  refreshCodeEditor();
+
+  if (liveSyncEnabled) {
+    clearTimeout(liveSyncTimer);
+    liveSyncTimer = setTimeout(syncCodeToCards, LIVE_SYNC_DELAY);
+  }
+}
+
+// Indent with the Tab key instead of leaving the editor
+function handleCodeKeydown(event) {
+  if (event.key !== "Tab" || event.shiftKey || event.ctrlKey || event.altKey) return;
+
+  event.preventDefault();
+  event.target.setRangeText("  ", event.target.selectionStart, event.target.selectionEnd, "end");
+  handleCodeInput();
+}
+
+// Turn live sync on or off
+function toggleLiveSync(enabled) {
+  liveSyncEnabled = enabled;
+  if (enabled && codeEditedManually) {
+    syncCodeToCards();
+  } else {
+    refreshCodeEditor();
+  }
+}
+
+// Serialize items without their ids and translations, to compare the code's
+// content only. Keys are sorted, as parsed and edited cards order them differently.
+function serializeWithoutIds(items) {
+  return JSON.stringify(items, (key, value) => {
+    if (key === "id" || key === "translations") return undefined;
+    if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, name) => {
+        sorted[name] = value[name];
+        return sorted;
+      }, {});
+  });
+}
+
+// Give parsed items the ids (and translations) of the existing items at the same position
+function reuseItemIds(parsedItems) {
+  const existingCards = getAllCards();
+  const existingSections = cards.filter(isSection);
+  const reuse = (item, existingItems) => {
+    const existing = existingItems.shift();
+    item.id = existing ? existing.id : ++cardIdCounter;
+    if (existing && existing.translations) {
+      item.translations = existing.translations;
+    }
+  };
+
+  parsedItems.forEach((item) => {
+    if (isSection(item)) {
+      reuse(item, existingSections);
+      item.cards.forEach((card) => reuse(card, existingCards));
+    } else {
+      reuse(item, existingCards);
+    }
+  });
+  return parsedItems;
+}
+
+// Parse valid code back into the cards
+function syncCodeToCards() {
+  clearTimeout(liveSyncTimer);
+  const code = document.getElementById("codeTextarea").value;
+  const errors = validateHTML(code);
+  if (errors.length > 0) {
+    updateCodeStatus(errors);
+    return;
+  }
+
+  // The code shows the translation, but parsing writes the primary language
+  const status = document.getElementById("codeStatus");
+  if (isTranslating()) {
+    status.className = "code-status has-errors";
+    status.textContent = `Live sync paused: switch to ${getPrimaryLanguage().toUpperCase()} to edit cards from the code`;
+    return;
+  }
+
+  // Formatted numbers and converted units would be parsed back into the rows
+  const settings = getExportSettings();
+  if (settings.unitConversion !== "none" || settings.numberFormat !== "keep") {
+    status.className = "code-status has-errors";
+    status.textContent =
+      "Live sync paused: turn off number formatting and unit conversion to edit cards from the code";
+    return;
+  }
+
+  let result;
+  try {
+    result = parseHTMLToCards(code, null, "cards");
+  } catch (error) {
+    result = null;
+  }
+  if (!result || result.guessed || result.cards.length === 0) {
+    status.className = "code-status has-errors";
+    status.textContent = "Live sync paused: the code contains no .spec-card elements";
+    return;
+  }
+  if (serializeWithoutIds(result.cards) === serializeWithoutIds(cards)) {
+    refreshCodeEditor();
+    return;
+  }
+
+  // The code is the source of this change, so it is left as typed
+  isSyncingFromCode = true;
+  executeCommand("edit code", () => {
+    cards = reuseItemIds(result.cards);
+  });
+  renderEditor();
+  updatePreview();
+  isSyncingFromCode = false;
+  refreshCodeEditor();
+}
+
+// Replace only the changed part of the code, keeping the cursor and scroll position
+function patchCode(textarea, code) {
+  const current = textarea.value;
+  if (current === code) return;
+
+  let start = 0;
+  while (start < current.length && start < code.length && current[start] === code[start]) {
+    start++;
+  }
+  let currentEnd = current.length;
+  let codeEnd = code.length;
+  while (currentEnd > start && codeEnd > start && current[currentEnd - 1] === code[codeEnd - 1]) {
+    currentEnd--;
+    codeEnd--;
+  }
+  textarea.setRangeText(code.slice(start, codeEnd), start, currentEnd, "preserve");
+}
+
+// Bring the code up to date with the cards, unless that would drop manual edits
+function updateCodeEditor() {
+  if (isSyncingFromCode) return;
+  if (codeEditedManually && !liveSyncEnabled) {
+    refreshCodeEditor();
+    return;
+  }
+
+  patchCode(document.getElementById("codeTextarea"), generateHTML());
+  codeEditedManually = false;
+  refreshCodeEditor();
+}
+
+// Throw away manual edits and show the generated code again
+function regenerateCode() {
+  codeEditedManually = false;
+  updateCodeEditor();
+}
+
+// Card interchange formats - JSON, CSV/TSV and Markdown
+const CARDS_FILE_FORMAT = "spec-cards";
+const CARDS_FILE_VERSION = 2;
+let pendingDelimitedImport = null;
+
+// Trigger a download of generated content
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File name for exports of the active project
+function getExportFileName(extension) {
+  const slug = getActiveProject()
+    .name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "spec-cards"}.${extension}`;
+}
+
+// Open the import/export panel
+function openImportExport() {
+  openModal(
+    "Import / Export",
+    `<div class="form-group">
+        <label>Export cards:</label>
+        <button class="btn btn-secondary btn-sm" onclick="exportJSON()">JSON</button>
+        <button class="btn btn-secondary btn-sm" onclick="exportDelimited(',')">CSV</button>
+        <button class="btn btn-secondary btn-sm" onclick="exportDelimited('\\t')">TSV</button>
+        <button class="btn btn-secondary btn-sm" onclick="exportMarkdown('list')">Markdown (list)</button>
+        <button class="btn btn-secondary btn-sm" onclick="exportMarkdown('table')">Markdown (table)</button>
+        <button class="btn btn-secondary btn-sm" onclick="downloadHTML()">HTML</button>
+    </div>
+    <div class="form-group">
+        <label for="importFileInput">Import from file (.json, .csv, .tsv):</label>
+        <input class="form-control" type="file" id="importFileInput"
+               accept=".json,.csv,.tsv,.txt,application/json,text/csv,text/tab-separated-values"
+               onchange="handleImportFile(this)" />
+    </div>
+    <div id="importMapping"></div>`
+  );
+}
+
+// Read an uploaded file and hand it to the matching importer
+function handleImportFile(input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = function () {
+    const text = String(reader.result);
+    try {
+      if (/\.json$/i.test(file.name) || text.trim().startsWith("{")) {
+        importJSON(text);
+      } else {
+        startDelimitedImport(text, file.name);
+      }
+    } catch (error) {
+      showToast("Error importing file: " + error.message, "error");
+    }
+    input.value = "";
+  };
+  reader.onerror = function () {
+    showToast("Could not read " + file.name, "error");
+  };
+  reader.readAsText(file);
+}
+
+// Export the full card model as versioned JSON
+function exportJSON() {
+  const data = {
+    format: CARDS_FILE_FORMAT,
+    version: CARDS_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: getActiveProject().name,
+    cardIdCounter: cardIdCounter,
+    exportSettings: getExportSettings(),
+    cards: cards,
+  };
+  downloadFile(
+    getExportFileName("json"),
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+}
+
+// Check the cards and sections of a JSON import, rebuilding them from known
+// fields only: text fields default to empty, styles and images are normalized
+// like editor input, and missing or duplicate ids get new ones
+function repairImportedItems(items) {
+  const usedIds = new Set();
+  const pendingIds = [];
+  const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+  const toText = (value) =>
+    Array.isArray(value) ? value.join("\n") : typeof value === "string" ? value : "";
+  const toPairs = (pairs, keys) =>
+    pairs.filter(isObject).map((pair) => {
+      const repaired = {};
+      keys.forEach((key) => {
+        repaired[key] = toText(pair[key]);
+      });
+      return repaired;
+    });
+
+  const repairId = (item, source) => {
+    if (Number.isInteger(source.id) && source.id > 0 && !usedIds.has(source.id)) {
+      item.id = source.id;
+      usedIds.add(source.id);
+    } else {
+      pendingIds.push(item);
+    }
+  };
+  const repairStyle = (style) => {
+    const repaired = {};
+    Object.keys(isObject(style) ? style : {}).forEach((key) => {
+      const value = normalizeCardStyleValue(key, style[key]);
+      if (value !== undefined) {
+        repaired[key] = value;
+      }
+    });
+    return Object.keys(repaired).length > 0 ? repaired : undefined;
+  };
+  const repairImage = (image) => {
+    if (!isObject(image) || typeof image.src !== "string" || !isSafeImageUrl(image.src)) {
+      return undefined;
+    }
+    const repaired = {
+      src: image.src,
+      alt: toText(image.alt),
+      position: Object.prototype.hasOwnProperty.call(IMAGE_POSITIONS, image.position)
+        ? image.position
+        : "top",
+    };
+    const width = parseInt(image.width);
+    if (!isNaN(width)) {
+      repaired.width = Math.min(MAX_IMAGE_WIDTH, Math.max(8, width));
+    }
+    return repaired;
+  };
+  const repairTranslations = (translations, keys) => {
+    const repaired = {};
+    Object.keys(isObject(translations) ? translations : {}).forEach((language) => {
+      const translation = translations[language];
+      if (!LANGUAGE_CODE_PATTERN.test(language) || !isObject(translation)) return;
+
+      const fields = {};
+      keys.forEach((key) => {
+        if (toText(translation[key])) {
+          fields[key] = toText(translation[key]);
+        }
+      });
+      if (Array.isArray(translation.pairs)) {
+        fields.pairs = toPairs(translation.pairs, ["label", "value"]);
+      }
+      if (Object.keys(fields).length > 0) {
+        repaired[language] = fields;
+      }
+    });
+    return Object.keys(repaired).length > 0 ? repaired : undefined;
+  };
+
+  const repairCard = (source) => {
+    if (!isObject(source) || isSection(source)) {
+      throw new Error("The file contains an invalid card");
+    }
+    const card = { title: toText(source.title), rows: toText(source.rows) };
+    repairId(card, source);
+
+    if (source.rowMode === "pairs" && Array.isArray(source.pairs)) {
+      card.rowMode = "pairs";
+      card.pairs = toPairs(source.pairs, ["label", "value", "unit"]);
+      if (source.pairLayout === "stacked") {
+        card.pairLayout = "stacked";
+      }
+    }
+    const optional = {
+      style: repairStyle(source.style),
+      image: repairImage(source.image),
+      translations: repairTranslations(source.translations, ["title", "rows"]),
+    };
+    Object.keys(optional).forEach((key) => {
+      if (optional[key]) {
+        card[key] = optional[key];
+      }
+    });
+    return card;
+  };
+
+  const repairedItems = items.map((item) => {
+    if (!isObject(item) || !isSection(item)) {
+      return repairCard(item);
+    }
+    if (!Array.isArray(item.cards)) {
+      throw new Error("The file contains an invalid section");
+    }
+    const section = { type: "section", heading: toText(item.heading) };
+    repairId(section, item);
+    section.cards = item.cards.map(repairCard);
+    const translations = repairTranslations(item.translations, ["heading"]);
+    if (translations) {
+      section.translations = translations;
+    }
+    return section;
+  });
+
+  let nextId = Math.max(0, ...usedIds);
+  pendingIds.forEach((item) => {
+    item.id = ++nextId;
+  });
+  return repairedItems;
+}
+
+// Import a JSON export, replacing the current cards and export settings
+function importJSON(text) {
+  const data = JSON.parse(text);
+
+  if (!data || data.format !== CARDS_FILE_FORMAT || !Array.isArray(data.cards)) {
+    throw new Error("Not a spec cards JSON file");
+  }
+  if (data.version > CARDS_FILE_VERSION) {
+    throw new Error(
+      `File version ${data.version} is newer than supported version ${CARDS_FILE_VERSION}`
+    );
+  }
+
+  const importedCards = repairImportedItems(data.cards);
+  const maxId = importedCards.reduce(
+    (max, item) =>
+      Math.max(max, item.id, ...(isSection(item) ? item.cards.map((card) => card.id) : [])),
+    0
+  );
+
+  // Imported settings pass the same checks as the settings panel
+  const importedSettings = {};
+  if (data.exportSettings && typeof data.exportSettings === "object") {
+    Object.keys(data.exportSettings).forEach((key) => {
+      const normalized = normalizeExportSetting(key, data.exportSettings[key]);
+      if (!normalized.error) {
+        importedSettings[key] = normalized.value;
+      }
+    });
+  }
+
+  executeCommand("import JSON", () => {
+    cards = importedCards;
+    cardIdCounter = Math.max(parseInt(data.cardIdCounter) || 0, maxId);
+    if (data.exportSettings) {
+      exportSettings = Object.assign(
+        {},
+        DEFAULT_EXPORT_SETTINGS,
+        { classPrefix: exportSettings.classPrefix },
+        importedSettings
+      );
+    }
+  });
+  renderEditor();
+  updatePreview();
+  closeModal();
+  showToast(`Successfully imported ${importedCards.length} card(s)!`, "success");
+}
+
+// Parse CSV/TSV text into records, honouring quoted fields with delimiters and newlines
+function parseDelimited(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  text = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((cell) => cell.trim()));
+}
+
+// Serialize records as CSV/TSV
+function toDelimited(records, delimiter) {
+  return records
+    .map((record) =>
+      record
+        .map((cell) =>
+          /["\r\n]/.test(cell) || cell.includes(delimiter)
+            ? `"${cell.replace(/"/g, '""')}"`
+            : cell
+        )
+        .join(delimiter)
+    )
+    .join("\r\n");
+}
+
+// Guess the delimiter from the file name or the first line
+function detectDelimiter(text, fileName) {
+  if (/\.tsv$/i.test(fileName)) return "\t";
+
+  const firstLine = text.split(/\r?\n/)[0];
+  const counts = ["\t", ";", ","].map((delimiter) => ({
+    delimiter: delimiter,
+    count: firstLine.split(delimiter).length,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 1 ? counts[0].delimiter : ",";
+}
+
+// Export cards as CSV/TSV: one record per card, title first, then one column per row
+function exportDelimited(delimiter) {
+  const allCards = getAllCards();
+  const maxRows = allCards.reduce(
+    (max, card) => Math.max(max, getFieldLines(card.rows).length),
+    0
+  );
+  const header = ["Title"];
+  for (let i = 1; i <= maxRows; i++) {
+    header.push("Row " + i);
+  }
+
+  const records = [header].concat(
+    allCards.map((card) =>
+      [getFieldLines(card.title).join("\n")].concat(getFieldLines(card.rows))
+    )
+  );
+  const isTab = delimiter === "\t";
+  downloadFile(
+    getExportFileName(isTab ? "tsv" : "csv"),
+    toDelimited(records, delimiter),
+    isTab ? "text/tab-separated-values" : "text/csv"
+  );
+}
+
+// Start a CSV/TSV import by asking which columns hold the title and the rows
+function startDelimitedImport(text, fileName) {
+  const records = parseDelimited(text, detectDelimiter(text, fileName));
+  if (records.length === 0) {
+    throw new Error("No records found in " + fileName);
   }
 
-  // Create toast element
-  const toast = document.createElement("div");
-  toast.className = `toast ${type}`;
-  toast.textContent = message;
+  const columnCount = records.reduce((max, r) => Math.max(max, r.length), 0);
+  pendingDelimitedImport = {
+    records: records,
+    columnCount: columnCount,
+    hasHeader: true,
+    titleColumn: 0,
+    rowColumns: Array.from({ length: columnCount }, (_, i) => i).slice(1),
+  };
+  renderDelimitedMapping();
+}
 
-  // Add to page
-  document.body.appendChild(toast);
+// Get the display name of a column of the pending import
+function getImportColumnName(index) {
+  const pending = pendingDelimitedImport;
+  const headerName = pending.hasHeader ? pending.records[0][index] : "";
+  return headerName && headerName.trim()
+    ? headerName.trim()
+    : "Column " + (index + 1);
+}
 
-  // Show toast with animation
-  setTimeout(() => {
-    toast.classList.add("show");
-  }, 10);
+// Render the column mapping step of a CSV/TSV import
+function renderDelimitedMapping() {
+  const container = document.getElementById("importMapping");
+  const pending = pendingDelimitedImport;
+  if (!container || !pending) return;
+
+  const columns = Array.from({ length: pending.columnCount }, (_, i) => i);
+  const dataRecords = pending.hasHeader ? pending.records.slice(1) : pending.records;
+  const sample = dataRecords.slice(0, 5);
+
+  container.innerHTML = `
+        <div class="form-group">
+            <label>
+                <input type="checkbox" ${pending.hasHeader ? "checked" : ""}
+                       onchange="updateDelimitedMapping('hasHeader', this.checked)" />
+                First row is a header
+            </label>
+        </div>
+        <div class="form-group">
+            <label for="importTitleColumn">Card title column:</label>
+            <select class="form-control" id="importTitleColumn"
+                    onchange="updateDelimitedMapping('titleColumn', this.value)">
+                ${columns
+                  .map(
+                    (i) =>
+                      `<option value="${i}"${i === pending.titleColumn ? " selected" : ""}>${escapeHtml(
+                        getImportColumnName(i)
+                      )}</option>`
+                  )
+                  .join("")}
+            </select>
+        </div>
+        <div class="form-group">
+            <label>Content row columns:</label>
+            ${columns
+              .map(
+                (i) => `
+            <label class="checkbox-label">
+                <input type="checkbox" ${pending.rowColumns.includes(i) ? "checked" : ""}
+                       ${i === pending.titleColumn ? "disabled" : ""}
+                       onchange="toggleDelimitedRowColumn(${i}, this.checked)" />
+                ${escapeHtml(getImportColumnName(i))}
+            </label>`
+              )
+              .join("")}
+        </div>
+        <div class="import-sample">
+            <label>Preview (${dataRecords.length} card(s)):</label>
+            ${sample
+              .map((record) => {
+                const card = recordToCard(record, 0);
+                return `<div class="import-sample-card"><strong>${escapeHtml(
+                  card.title || "Untitled"
+                )}</strong><br />${escapeHtml(card.rows).replace(/\n/g, " · ")}</div>`;
+              })
+              .join("")}
+        </div>`;
 
-  // Hide and remove toast after 3 seconds
-  setTimeout(() => {
-    toast.classList.remove("show");
-    setTimeout(() => {
-      if (toast.parentNode) {
-        toast.remove();
-      }
-    }, 300);
-  }, 3000);
+  document.getElementById("modalFooter").innerHTML = `
+        <button class="btn btn-secondary" onclick="importDelimited('append')">Append to cards</button>
+        <button class="btn" onclick="importDelimited('replace')">Replace cards</button>`;
 }
 
-// Parse HTML and extract card data
-function parseHTMLToCards(htmlContent) {
-  try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlContent, "text/html");
-    let specCards = doc.querySelectorAll(".spec-card");
+// Change an option of the column mapping
+function updateDelimitedMapping(option, value) {
+  const pending = pendingDelimitedImport;
+  if (option === "titleColumn") {
+    pending.titleColumn = parseInt(value);
+    pending.rowColumns = pending.rowColumns.filter((i) => i !== pending.titleColumn);
+  } else {
+    pending[option] = value;
+  }
+  renderDelimitedMapping();
+}
 
-    // If no cards found in full document, try parsing as fragment
-    if (specCards.length === 0) {
-      // Try parsing as HTML fragment
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = htmlContent;
-      specCards = tempDiv.querySelectorAll(".spec-card");
-    }
+// Include or exclude a column from the card rows
+function toggleDelimitedRowColumn(index, checked) {
+  const pending = pendingDelimitedImport;
+  pending.rowColumns = pending.rowColumns.filter((i) => i !== index);
+  if (checked) {
+    pending.rowColumns.push(index);
+    pending.rowColumns.sort((a, b) => a - b);
+  }
+  renderDelimitedMapping();
+}
 
-    // If still no spec-cards found, try to find common card structures
-    if (specCards.length === 0) {
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = htmlContent;
+// Turn a CSV/TSV record into a card using the current column mapping
+function recordToCard(record, id) {
+  const pending = pendingDelimitedImport;
+  return {
+    id: id,
+    title: (record[pending.titleColumn] || "").trim(),
+    rows: pending.rowColumns
+      .map((i) => (record[i] || "").trim())
+      .filter((cell) => cell)
+      .join("\n"),
+  };
+}
 
-      // Try common card selectors
-      const cardSelectors = [
-        '.card',
-        '.content-card',
-        '.item',
-        '.box',
-        'div[class*="card"]',
-        'article',
-        'section'
-      ];
+// Finish a CSV/TSV import
+function importDelimited(mode) {
+  const pending = pendingDelimitedImport;
+  if (!pending) return;
 
-      for (const selector of cardSelectors) {
-        const potentialCards = tempDiv.querySelectorAll(selector);
-        if (potentialCards.length > 0) {
-          specCards = potentialCards;
-          break;
-        }
-      }
-    }
+  const dataRecords = pending.hasHeader ? pending.records.slice(1) : pending.records;
+  if (dataRecords.length === 0) {
+    showToast("No records to import", "error");
+    return;
+  }
 
-    if (specCards.length === 0) {
-      // Debug: log what was actually parsed
-      console.log("Parsed HTML content:", htmlContent.substring(0, 500) + "...");
-      console.log("Available elements:", doc.body ? doc.body.innerHTML : "No body found");
+  executeCommand("import " + (mode === "replace" ? "and replace cards" : "cards"), () => {
+    if (mode === "replace") {
+      cards = [];
+      cardIdCounter = 0;
+    }
+    dataRecords.forEach((record) => {
+      const card = recordToCard(record, ++cardIdCounter);
+      card.title = card.title || "Untitled";
+      cards.push(card);
+    });
+  });
 
-      throw new Error(`No cards found in HTML. Please ensure your HTML contains card-like elements.
+  pendingDelimitedImport = null;
+  renderEditor();
+  updatePreview();
+  closeModal();
+  showToast(`Successfully imported ${dataRecords.length} card(s)!`, "success");
+}
 
-Preferred structure:
-<div class="spec-card">
-  <div class="spec-header">Card Title</div>
-  <div class="spec-content">Card content here</div>
-</div>
+// Convert the inline markup of a row to Markdown
+function inlineHTMLToMarkdown(html) {
+  const container = parseHTMLFragment(sanitizeInlineHTML(html));
 
-Or use common card classes like: .card, .content-card, .item, .box, article, or section`);
+  const convert = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/([\\*_`|\[\]])/g, "\\$1");
     }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const inner = Array.from(node.childNodes).map(convert).join("");
+    switch (node.tagName) {
+      case "B":
+      case "STRONG":
+        return inner ? `**${inner}**` : "";
+      case "I":
+      case "EM":
+        return inner ? `*${inner}*` : "";
+      case "A":
+        // A pipe in the link would end a table cell
+        return `[${inner}](${(node.getAttribute("href") || "").replace(/\|/g, "\\|")})`;
+      case "SUP":
+        return `<sup>${inner}</sup>`;
+      case "BR":
+        return node.classList.contains("mobile-br") ? "" : " ";
+      default:
+        return inner;
+    }
+  };
 
-    const parsedCards = [];
-    let maxId = 0;
-
-    specCards.forEach((card, index) => {
-      let headerElement = card.querySelector(".spec-header");
-      let contentElement = card.querySelector(".spec-content");
+  return Array.from(container.childNodes).map(convert).join("").trim();
+}
 
-      // If exact spec-header/spec-content not found, try common header/content patterns
-      if (!headerElement || !contentElement) {
-        // Try various header selectors
-        const headerSelectors = [
-          '.header', '.title', '.card-header', '.card-title',
-          'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-          '.name', '.label'
-        ];
+// Export cards as Markdown, either one section per card or one table
+function exportMarkdown(style) {
+  let markdown;
 
-        // Try various content selectors
-        const contentSelectors = [
-          '.content', '.body', '.card-body', '.card-content',
-          '.description', '.text', '.details', 'p'
-        ];
+  if (style === "table") {
+    const lines = ["| Title | Details |", "| --- | --- |"];
+    getAllCards().forEach((card) => {
+      const title = getFieldLines(card.title).map(inlineHTMLToMarkdown).join(" ");
+      const details = getFieldLines(card.rows).map(inlineHTMLToMarkdown).join("<br>");
+      lines.push(`| ${title} | ${details} |`);
+    });
+    markdown = lines.join("\n");
+  } else {
+    const cardMarkdown = (card, heading) => {
+      const title = getFieldLines(card.title).map(inlineHTMLToMarkdown).join(" ");
+      const rows = getFieldLines(card.rows).map(
+        (line) => "- " + inlineHTMLToMarkdown(line)
+      );
+      return [`${heading} ${title}`, ""].concat(rows).join("\n");
+    };
 
-        // Find header
-        if (!headerElement) {
-          for (const selector of headerSelectors) {
-            headerElement = card.querySelector(selector);
-            if (headerElement) break;
-          }
-        }
+    // Sections become top-level headings above their cards. Ungrouped cards
+    // then share that level, so they do not read as part of the section above.
+    const ungroupedHeading = cards.some(isSection) ? "#" : "##";
+    markdown = cards
+      .map((item) =>
+        isSection(item)
+          ? [`# ${inlineHTMLToMarkdown(item.heading)}`]
+              .concat(item.cards.map((card) => cardMarkdown(card, "##")))
+              .join("\n\n")
+          : cardMarkdown(item, ungroupedHeading)
+      )
+      .join("\n\n");
+  }
 
-        // Find content
-        if (!contentElement) {
-          for (const selector of contentSelectors) {
-            contentElement = card.querySelector(selector);
-            if (contentElement) break;
-          }
-        }
+  downloadFile(getExportFileName("md"), markdown + "\n", "text/markdown");
+}
 
-        // If still no specific header/content found, try to extract from card directly
-        if (!headerElement && !contentElement) {
-          // Use first child as header and remaining as content
-          const children = Array.from(card.children);
-          if (children.length >= 2) {
-            headerElement = children[0];
-            contentElement = children[1];
-          } else if (children.length === 1) {
-            // Use card text content as both header and content
-            headerElement = children[0];
-            contentElement = children[0];
-          } else {
-            // Use card's direct text content
-            const textContent = card.textContent.trim();
-            if (textContent) {
-              // Create temporary elements
-              const tempHeader = document.createElement('div');
-              const tempContent = document.createElement('div');
+// Find and replace across the titles and rows of all cards, in the language
+// shown in the editor. Replacements go through the regular update functions.
+let findOptions = {
+  query: "",
+  replacement: "",
+  matchCase: false,
+  wholeWord: false,
+  regex: false,
+};
+let findMatchIndex = -1;
+
+// Show the find bar
+function openFindBar() {
+  const findBar = document.getElementById("findBar");
+  findBar.hidden = false;
+  const input = document.getElementById("findInput");
+  input.focus();
+  input.select();
+  updateFindResults();
+}
 
-              // Split by lines if possible, otherwise use whole text as header
-              const lines = textContent.split('\n').map(line => line.trim()).filter(line => line);
-              if (lines.length > 1) {
-                tempHeader.textContent = lines[0];
-                tempContent.innerHTML = lines.slice(1).join('<br>');
-              } else {
-                tempHeader.textContent = textContent;
-                tempContent.textContent = textContent;
-              }
+// Hide the find bar and its highlights
+function closeFindBar() {
+  document.getElementById("findBar").hidden = true;
+  findMatchIndex = -1;
+  updateFindResults();
+}
 
-              headerElement = tempHeader;
-              contentElement = tempContent;
-            }
-          }
-        }
-      }
+// Change the search text or an option
+function updateFindOption(key, value) {
+  findOptions[key] = value;
+  findMatchIndex = -1;
+  updateFindResults();
+}
 
-      if (!headerElement || !contentElement) {
-        return; // Skip invalid cards
-      }
+// Whether the find bar is open with something to search for
+function isFinding() {
+  const findBar = document.getElementById("findBar");
+  return Boolean(findBar && !findBar.hidden && findOptions.query);
+}
 
-      // Parse title (split by <br> tags)
-      const titleHTML = headerElement.innerHTML.trim();
-      const titleRows = titleHTML
-        .split(/<br\s*\/?>/i)
-        .map((row) => row.trim())
-        .filter((row) => row);
+// Build the search pattern from the options. Throws for an invalid regex.
+function buildFindPattern() {
+  let source = findOptions.regex
+    ? findOptions.query
+    : findOptions.query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (findOptions.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, findOptions.matchCase ? "gu" : "giu");
+}
 
-      // Parse content (split by <br> tags)
-      const contentHTML = contentElement.innerHTML.trim();
-      const contentRows = contentHTML
-        .split(/<br\s*\/?>/i)
-        .map((row) => row.trim())
-        .filter((row) => row);
+// Get the searchable fields of all cards with their current text
+function getFindTargets() {
+  const language = getActiveLanguage();
+  const translating = isTranslating();
+  const targets = [];
+
+  getAllCards().forEach((card) => {
+    const translation = getTranslation(card, language);
+    targets.push({
+      card: card,
+      field: "title",
+      text: translating ? translation.title || "" : card.title,
+    });
 
-      const cardId = ++maxId;
-      parsedCards.push({
-        id: cardId,
-        title: titleRows.length > 0 ? titleRows.join("\n") : "Untitled",
-        rows: contentRows.length > 0 ? contentRows.join("\n") : "",
+    if (card.rowMode !== "pairs") {
+      targets.push({
+        card: card,
+        field: "rows",
+        text: translating ? translation.rows || "" : card.rows,
+      });
+      return;
+    }
+    const translatedPairs = translation.pairs || [];
+    card.pairs.forEach((pair, index) => {
+      // Units are shared by all languages
+      ["label", "value", "unit"].forEach((key) => {
+        targets.push({
+          card: card,
+          field: "pair",
+          index: index,
+          key: key,
+          text:
+            translating && key !== "unit"
+              ? (translatedPairs[index] || {})[key] || ""
+              : pair[key],
+        });
       });
     });
+  });
+  return targets;
+}
 
-    return {
-      cards: parsedCards,
-      maxId: maxId,
-    };
-  } catch (error) {
-    console.error("Error parsing HTML:", error);
-    throw error;
+// Get the editor element of a search target
+function getFindTargetElement(target) {
+  if (target.field !== "pair") {
+    return document.getElementById(`${target.field}-${target.card.id}`);
   }
+  const row = document.querySelectorAll(`#pairs-${target.card.id} .pair-row`)[target.index];
+  return row ? row.querySelector(`.pair-${target.key}`) : null;
 }
 
-// Parse HTML from textarea and load into editor
-function parseFromTextarea() {
-  const codeTextarea = document.getElementById("codeTextarea");
-  const htmlContent = codeTextarea.value.trim();
+// Split stored markup into tags and text; only the text is searched
+function splitMarkup(text) {
+  return text.split(/(<[^>]*>)/);
+}
+
+// Replace the matches in the text of stored markup, leaving its tags alone
+function replaceInText(text, pattern, replacement) {
+  return splitMarkup(text)
+    .map((part) => (part.startsWith("<") ? part : part.replace(pattern, replacement)))
+    .join("");
+}
 
+// Find all matches: { target, start, end }. Returns null for an invalid pattern.
+function findMatches() {
+  let pattern;
   try {
-    if (!htmlContent) {
-      showToast("No HTML content to parse", "error");
-      return;
-    }
+    pattern = buildFindPattern();
+  } catch (error) {
+    return null;
+  }
+
+  const matches = [];
+  getFindTargets().forEach((target) => {
+    let offset = 0;
+    splitMarkup(target.text).forEach((part) => {
+      if (!part.startsWith("<")) {
+        for (const match of part.matchAll(pattern)) {
+          if (match[0].length > 0) {
+            const start = offset + match.index;
+            matches.push({ target: target, start: start, end: start + match[0].length });
+          }
+        }
+      }
+      offset += part.length;
+    });
+  });
+  return matches;
+}
 
-    const result = parseHTMLToCards(htmlContent);
+// Update the match count and the highlights in the editor and preview
+function updateFindResults() {
+  document.querySelectorAll(".find-match").forEach((element) => {
+    element.classList.remove("find-match");
+  });
+  document.querySelectorAll(".preview-frame").forEach(highlightFrameMatches);
 
-    if (result.cards.length === 0) {
-      showToast("No valid spec cards found in the HTML", "error");
-      return;
+  const count = document.getElementById("findCount");
+  if (!count) return;
+  if (!isFinding()) {
+    count.textContent = "";
+    return;
+  }
+
+  const matches = findMatches();
+  if (!matches) {
+    count.textContent = "Invalid regular expression";
+    return;
+  }
+
+  const cardIds = new Set();
+  matches.forEach((match) => {
+    cardIds.add(match.target.card.id);
+    const element = getFindTargetElement(match.target);
+    if (element) {
+      element.classList.add("find-match");
     }
+  });
+  count.textContent =
+    matches.length === 0
+      ? "No matches"
+      : `${matches.length} match${matches.length === 1 ? "" : "es"} in ${cardIds.size} card${
+          cardIds.size === 1 ? "" : "s"
+        }`;
+}
 
-    // Replace current cards with parsed cards
-    cards = result.cards;
-    cardIdCounter = result.maxId;
+// Mark the matches inside a preview frame. The marks exist only in the shown
+// document; the export is never changed.
+function highlightFrameMatches(frame) {
+  const frameDocument = frame.contentDocument;
+  if (!frameDocument || !frameDocument.body) return;
 
-    // Update UI
-    renderEditor();
-    updatePreview();
+  frameDocument.querySelectorAll("mark[data-find-highlight]").forEach((mark) => {
+    const parent = mark.parentNode;
+    parent.replaceChild(frameDocument.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+  if (!isFinding()) return;
 
-    showToast(
-      `Successfully imported ${result.cards.length} card(s)!`,
-      "success"
+  let pattern;
+  try {
+    pattern = buildFindPattern();
+  } catch (error) {
+    return;
+  }
+
+  const walker = frameDocument.createTreeWalker(frameDocument.body, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+  textNodes.forEach((node) => {
+    const matches = Array.from(node.nodeValue.matchAll(pattern)).filter(
+      (match) => match[0].length > 0
     );
+    // Wrap from the end so that earlier offsets stay valid
+    matches.reverse().forEach((match) => {
+      const range = frameDocument.createRange();
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      const mark = frameDocument.createElement("mark");
+      mark.dataset.findHighlight = "";
+      range.surroundContents(mark);
+    });
+  });
+}
 
-    // Switch back to preview view
-    if (isCodeView) {
-      const toggleBtn = document.querySelector(
-        '.panel-header button[onclick="toggleView(event)"]'
-      );
-      toggleView({ target: toggleBtn });
-      // Update the main toggle button label
-      if (toggleBtn) {
-        toggleBtn.textContent = "Toggle Code View";
-      }
-    }
-  } catch (error) {
-    showToast("Error parsing HTML: " + error.message, "error");
+// Select the next (or previous) match in its editor field
+function findNext(step) {
+  const matches = isFinding() ? findMatches() : null;
+  if (!matches || matches.length === 0) return;
+
+  findMatchIndex = (findMatchIndex + step + matches.length) % matches.length;
+  const match = matches[findMatchIndex];
+  const element = getFindTargetElement(match.target);
+  if (element) {
+    element.focus();
+    element.setSelectionRange(match.start, match.end);
   }
+  document.getElementById("findCount").textContent = `${findMatchIndex + 1} of ${matches.length}`;
 }
 
-// Clear textarea
-function clearTextarea() {
-  const codeTextarea = document.getElementById("codeTextarea");
-  codeTextarea.value = "";
-  codeTextarea.focus();
+// Replace every match in one undoable step
+function replaceAll() {
+  const matches = isFinding() ? findMatches() : null;
+  if (!matches || matches.length === 0) {
+    showToast("Nothing to replace", "info");
+    return;
+  }
+
+  const pattern = buildFindPattern();
+  // Outside regex mode "$" in the replacement is literal
+  const replacement = findOptions.regex
+    ? findOptions.replacement
+    : findOptions.replacement.replace(/\$/g, "$$$$");
+  const changedTargets = Array.from(new Set(matches.map((match) => match.target)));
+
+  executeCommand("replace all", () => {
+    changedTargets.forEach((target) => {
+      const text = replaceInText(target.text, pattern, replacement);
+      if (target.field === "title") {
+        updateCardTitle(target.card.id, text);
+      } else if (target.field === "rows") {
+        updateRows(target.card.id, text);
+      } else {
+        updatePair(target.card.id, target.index, target.key, text);
+      }
+    });
+  });
+  findMatchIndex = -1;
+  renderEditor();
+  updatePreview();
+  showToast(`Replaced ${matches.length} match${matches.length === 1 ? "" : "es"}`, "success");
+}
+
+// Keyboard handling of the find bar fields
+function handleFindKeydown(event) {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    if (event.target.id === "replaceInput" && (event.ctrlKey || event.metaKey)) {
+      replaceAll();
+    } else {
+      findNext(event.shiftKey ? -1 : 1);
+    }
+  } else if (event.key === "Escape") {
+    event.preventDefault();
+    closeFindBar();
+  }
 }
 
 // Mobile menu functions
@@ -998,6 +6533,56 @@ function closeMobileMenu() {
   mobileOverlay.classList.remove("show");
 }
 
+// Warn before leaving the page with unsaved changes
+window.addEventListener("beforeunload", function (event) {
+  if (projectStore && isDirty()) {
+    autosave();
+    event.preventDefault();
+    event.returnValue = "";
+  }
+});
+
+// Close the modal dialog with Escape
+document.addEventListener("keydown", function (event) {
+  if (
+    event.key === "Escape" &&
+    document.getElementById("modalOverlay").classList.contains("show")
+  ) {
+    closeModal();
+  }
+});
+
+// Find and replace shortcut, available from anywhere
+document.addEventListener("keydown", function (event) {
+  if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === "f") {
+    event.preventDefault();
+    openFindBar();
+  }
+});
+
+// Undo/redo keyboard shortcuts (text fields keep their native undo)
+document.addEventListener("keydown", function (event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+  const target = event.target;
+  if (
+    target.tagName === "TEXTAREA" ||
+    (target.tagName === "INPUT" && target.type !== "checkbox") ||
+    target.isContentEditable
+  ) {
+    return;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undo();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    redo();
+  }
+});
+
 // Close mobile menu when clicking on a link inside the editor
 document.addEventListener("click", function (event) {
   if (